@@ -21,16 +21,34 @@
  * - Clear labeling with "Hours/Days" header
  * - Overall utilization percentage in summary
  * - Color-coded capacity indicators
+ * - Over-capacity and closed-hour bookings highlighted in red and listed with
+ *   their booking rows below the summary
+ * - Split rows that could not be placed in the grid listed with a reason, and
+ *   an "Unplaced Hours" summary line explaining the Booked Hours check
+ * - English or Hebrew labels and tab names (REPORT_LOCALE); Hebrew reports use
+ *   day and month names in Hebrew, 24-hour times and right-to-left tabs
  * 
  * REQUIRED SPREADSHEET STRUCTURE:
  * - ClubInfo tab with club configuration
  * - Monthly booking tabs in format [MMYY]e, [MMYY]i, [MMYY]na
  * - Split booking tabs in format [MMYY]e_2, [MMYY]i_2, [MMYY]na_2
+ * - MonthHoursSidebar.html in the script project (sidebar UI)
  */
 
 // Global configuration
 var DEBUG_MODE = false; // Set to true for detailed logging
 var CLUB_INFO_CACHE = null; // Cache for club information
+var TIME_ZONE_CACHE = null; // Cache for the spreadsheet time zone
+var MONTH_CLOSE_DEFAULT_DAY = 1; // Day of month for automatic month-close processing
+var MONTH_CLOSE_HOUR = 6; // Hour of day (script time zone) for automatic month-close processing
+var RUN_LOG_TAB_NAME = 'Run Log'; // Tab recording automatic month-close runs
+var AUDIT_LOG_TAB_NAME = 'Audit Log'; // Tab recording every validation and report run
+var RECONCILE_KEY_COLUMNS = ['B', 'C']; // Columns that identify a booking besides its date (customer, court)
+var SLOT_MINUTES = 60; // Default report slot size in minutes (60, 30 or 15)
+var BUSINESS_DAY_CUTOFF_HOUR = 0; // Bookings before this hour count toward the previous day (0 = calendar days)
+var DATE_ORDER = 'DMY'; // Day/month order of numeric text dates such as 07/05/2025 ('DMY' or 'MDY')
+var REPORT_LOCALE = 'en'; // Language of generated reports and their tab names ('en' or 'he'); Hebrew also uses 24-hour times and right-to-left tabs
+var MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']; // Month abbreviations of report titles and date labels
 
 /**
  * Monthly Hours Analysis Script - Google Sheets Functions
@@ -42,7 +60,23 @@ var CLUB_INFO_CACHE = null; // Cache for club information
  * 1. Data Validation (monthHours):
  *    - Validates data consistency between primary and secondary tabs
  *    - Compares column H totals for e/e_2, i/i_2, and na/na_2 tab pairs
- *    - Optionally returns data for reuse
+ *    - Month, booking type and options are picked in the Month Hours sidebar
+ *    - Headless core runMonthHours(params) returns a result object without
+ *      dialogs (for triggers, other scripts and the Apps Script API)
+ *    - Reconciliation mode (reconcile: true / sidebar action) groups split rows
+ *      back into bookings and lists missing, extra and hour-mismatched bookings
+ *      in a "Mon-YY Reconciliation" tab
+ *    - Daily breakdown mode (byDay: true / sidebar action) compares column H per
+ *      day and weekday in a "Mon-YY Validation" tab, highlighting differing days
+ *    - Data quality mode (checkData: true / sidebar action) checks dates, times
+ *      and hours of all six booking tabs and lists every offending row in a
+ *      "Mon-YY Data Issues" tab (comma-decimal hours like "1,5" are coerced)
+ *    - Data quality mode also compares the spreadsheet and script time zones and
+ *      lists the month's daylight saving days; all date and time cells are read
+ *      in the spreadsheet time zone, and availability counts the skipped or
+ *      repeated clock hour of a daylight saving day as 0 or 2 hours
+ *    - Split integrity mode (checkSplits: true / sidebar action) confirms every
+ *      _2 row stays within one clock hour and that G - F equals H
  * 
  * 2. Hours Analysis Table (createHoursDaysTable):
  *    - Creates cross-tabulation of hours by time slot and day
@@ -50,22 +84,89 @@ var CLUB_INFO_CACHE = null; // Cache for club information
  *    - Calculates available hours based on club schedule
  *    - Shows usage percentages and capacity utilization
  *    - Applies conditional formatting for visual analysis
+ *    - Sidebar options: booking type (e/i/na), slot size, proportional mode, validate first,
+ *      destination tab
+ *    - Slot size of 60, 30 or 15 minutes (SLOT_MINUTES or the slotMinutes option);
+ *      sub-hour slots spread each split row over the slots it covers
+ *    - Business day cutoff (BUSINESS_DAY_CUTOFF_HOUR): bookings and opening hours
+ *      before the cutoff belong to the previous day's column and appear as rows
+ *      after 11PM, so opening hours such as 22:00-02:00 are supported
+ *    - Combined report (booking type "all") stacks e, i and na: the grid shows
+ *      total hours and a By Booking Type table shows per-type and total hours per
+ *      slot against the same available hours
+ *    - Headless core runHoursDaysTable(params) returns a result object
+ * 
+ * 3. Date Range Table (createHoursDaysRangeTable):
+ *    - Same report for any date range (e.g. 15 Mar - 14 Apr), for booking type e, i or na
+ *    - Reads every [MMYY]e_2 tab the range touches, plus the next month's tab
+ *      when BUSINESS_DAY_CUTOFF_HOUR moves its after-midnight rows into the range
+ *    - Builds the availability grid across month boundaries
+ * 
+ * 4. Batch Tables (createHoursDaysTablesBatch):
+ *    - Generates Mon-YY DH tabs for a list/range of months or "all"
+ *    - Summarizes succeeded months, missing tabs and e vs e_2 mismatches
+ * 
+ * 5. Rollup Report (createRollupReport):
+ *    - Aggregates booked and available hours per hour slot across a quarter/year
+ *    - Shows Total Hours, Total Available Hours and % Utilization per slot and per month
+ * 
+ * 6. Year-over-Year Report (createYearOverYearReport):
+ *    - Compares the same month in two years per hour slot and per weekday
+ *    - Shows booked hours, utilization and color-coded changes
+ * 
+ * 7. Trend Dashboard (refreshTrendDashboard):
+ *    - One row per month with an e_2 tab: booked/available hours, utilization,
+ *      busiest hour and busiest weekday
+ *    - Line charts of the month-over-month trend, rebuilt on every refresh
+ * 
+ * 8. Scheduled Month Close (installMonthCloseTrigger / runMonthClose):
+ *    - Time-driven trigger on a configurable day of the month
+ *    - Validates the previous month and builds its report only if e and e_2 match
+ *    - Every run is recorded in the Run Log tab
+ * 
+ * 9. Audit Log (showValidationHistory):
+ *    - Every validation and report run is appended to the Audit Log tab with
+ *      timestamp, user, month, per-pair sums and status, result and tab name
+ *    - Reports are logged where they are written (monthly, batch, range, rollup,
+ *      combined, year-over-year and trend dashboard), whichever command ran them
+ *    - The history command shows how a month's status changed over time
+ * 
+ * 10. Hourly Splitter (splitBookingTabs / runSplitBookingTabs):
+ *    - Generates [MMYY]e_2, i_2 and na_2 from the primary tabs, splitting every
+ *      booking at clock-hour boundaries with a fractional H per piece
+ *    - All other columns are preserved; rows with unusable times are copied unsplit
+ *    - Runs the e/e_2, i/i_2, na/na_2 totals comparison right after writing
+ * 
+ * 11. ClubInfo Check (checkClubInfo):
+ *    - Lists each day's opening windows and open hours in a ci_check tab
+ *    - Flags unparseable entries, unknown day names, days without hours,
+ *      overlapping windows and closes after the business day cutoff
  * 
  * DATA STRUCTURE (e_2 tabs):
- * - Column D: Date (e.g., "29-May-25")
+ * - Column D: Date (e.g., "29-May-25"); date cells, serial numbers, ISO strings and
+ *   numeric text dates in DATE_ORDER are accepted (see parseBookingDate)
  * - Column F: Start time (e.g., "9:00 am")
  * - Column G: End time (e.g., "10:00 am")
  * - Column H: Hours (pre-calculated, e.g., 1, 0.5)
+ * - Pieces of a booking after midnight are dated the next calendar day
+ * - RECONCILE_KEY_COLUMNS: Customer/court columns used to match e_2 rows to e rows
  * 
  * CLUB CONFIGURATION (ClubInfo tab):
  * - B4: Club name
  * - D5: Max hours per hour (number of courts)
  * - A9:B25: Opening hours by day
- *   - Column A: Day names
- *   - Column B: Hours (format: HH:MM-HH:MM)
+ *   - Column A: Day names (English or Hebrew, e.g. "Sunday" or "יום ראשון")
+ *   - Column B: Hours (format: HH:MM-HH:MM); a day with a midday break lists
+ *     several windows ("06:00-12:00, 16:00-23:00") or uses several rows
+ *   - Minutes are honoured: with "06:30-22:30" the 6AM and 10PM slots are only
+ *     half available
+ * - D5:K7: Alternative open/close grid (used when A9:B25 is empty); several
+ *   windows are comma-separated in both cells ("06:00, 16:00" / "12:00, 23:00")
  * 
  * The e_2 tabs now contain pre-split hourly data, eliminating the need
- * for complex proportional distribution calculations.
+ * for complex proportional distribution calculations. For months with only a
+ * primary tab, the proportional mode (proportional: true / sidebar checkbox)
+ * distributes each booking's F-G time over the slots it overlaps instead.
  */
 
 // Commented out onOpen function for future use
@@ -74,6 +175,16 @@ var CLUB_INFO_CACHE = null; // Cache for club information
 //   ui.createMenu('Month Hours')
 //     .addItem('Run Month Hours', 'monthHours')
 //     .addItem('Create Hours-Days Table', 'createHoursDaysTable')
+//     .addItem('Create Hours-Days Range Table', 'createHoursDaysRangeTable')
+//     .addItem('Create Hours-Days Tables (Batch)', 'createHoursDaysTablesBatch')
+//     .addItem('Create Rollup Report', 'createRollupReport')
+//     .addItem('Create Year-over-Year Report', 'createYearOverYearReport')
+//     .addItem('Refresh Trend Dashboard', 'refreshTrendDashboard')
+//     .addItem('Schedule Month Close', 'installMonthCloseTrigger')
+//     .addItem('Remove Month Close Schedule', 'removeMonthCloseTrigger')
+//     .addItem('Show Validation History', 'showValidationHistory')
+//     .addItem('Generate Split Tabs', 'splitBookingTabs')
+//     .addItem('Check ClubInfo', 'checkClubInfo')
 //     .addToUi();
 // }
 
@@ -122,35 +233,187 @@ function buildDayOfWeekCache(monthNum, year) {
 /**
  * monthHours Function
  * Validates data consistency between primary and secondary tabs
- * @param {boolean} returnData - Optional. If true, returns validation data instead of just displaying
- * @return {Object|undefined} If returnData is true, returns validation results object
+ * From the menu it opens the Month Hours sidebar. Script callers pass the
+ * month instead and get the validation data back without any dialogs,
+ * e.g. monthHours({month: 5, year: 2025}) or monthHours('0525').
+ * The original monthHours(returnData) call still prompts for the month (see promptMonthHours).
+ * @param {Object|string|boolean} params - Optional. Month parameters, see runMonthHours,
+ *   or the legacy returnData flag
+ * @return {Object|undefined} Validation result from runMonthHours when params are given
  */
-function monthHours(returnData) {
+function monthHours(params) {
   console.log("Starting monthHours function");
   
-  // Get UI instance
+  if (typeof params === 'boolean') {
+    return promptMonthHours(params);
+  }
+  
+  if (!params) {
+    showMonthHoursSidebar('validate');
+    return;
+  }
+  
+  return runMonthHours(params);
+}
+
+/**
+ * Legacy monthHours(returnData) flow: prompts for the month and shows the totals comparison
+ * @param {boolean} returnData - If true, returns the validation data
+ * @return {Object|undefined} Result of runMonthHours, with primarySheet and secondarySheet
+ *   added to each tabData entry, if returnData is true
+ */
+function promptMonthHours(returnData) {
   var ui = SpreadsheetApp.getUi();
   var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   
-  // Prompt for 4-digit month
   var response = ui.prompt('Month Input', 'Please enter a month (4 digits):', ui.ButtonSet.OK_CANCEL);
-  
-  // Check if user cancelled
   if (response.getSelectedButton() != ui.Button.OK) {
     debugLog("User cancelled the operation");
     return;
   }
   
-  var monthDigits = response.getResponseText();
-  debugLog("User input: " + monthDigits);
-  
-  // Validate input is exactly 4 digits
-  if (!/^\d{4}$/.test(monthDigits)) {
-    ui.alert('Invalid Input', 'Please enter exactly 4 digits.', ui.ButtonSet.OK);
-    console.log("Invalid input: not 4 digits");
+  var monthDigits = response.getResponseText().trim();
+  if (!isValidMonthDigits(monthDigits)) {
+    ui.alert('Invalid Input', 'Please enter a valid MMYY month (e.g., 0525).', ui.ButtonSet.OK);
+    console.log("Invalid input: not a month");
     return;
   }
   
+  var result = runMonthHours(monthDigits);
+  ui.alert('Month Hours Results', "Results for month " + monthDigits + ":\n\n" + result.results.join("\n"), ui.ButtonSet.OK);
+  console.log("Completed monthHours function");
+  
+  if (returnData) {
+    for (var name in result.tabData) {
+      result.tabData[name].primarySheet = spreadsheet.getSheetByName(result.tabData[name].primaryTab);
+      result.tabData[name].secondarySheet = spreadsheet.getSheetByName(result.tabData[name].secondaryTab);
+    }
+    return result;
+  }
+}
+
+/**
+ * Resolves month parameters passed to the headless entry points
+ * @param {Object|string} params - "MMYY" string, {monthDigits: "0525"} or {month: 5, year: 2025}
+ * @return {Object} {monthDigits, month, year}
+ * @throws {Error} If the parameters do not describe a valid month
+ */
+function resolveMonthParams(params) {
+  var monthDigits = null;
+  
+  if (typeof params === 'string') {
+    monthDigits = params;
+  } else if (params && params.monthDigits) {
+    monthDigits = params.monthDigits.toString();
+  } else if (params && params.month && params.year) {
+    monthDigits = ('0' + params.month).slice(-2) + ('0' + (params.year % 100)).slice(-2);
+  }
+  
+  if (!monthDigits || !isValidMonthDigits(monthDigits)) {
+    throw new Error('Invalid month parameters: ' + JSON.stringify(params) +
+                    '. Use "MMYY", {monthDigits: "MMYY"} or {month: 1-12, year: YYYY}.');
+  }
+  
+  return {
+    monthDigits: monthDigits,
+    month: parseInt(monthDigits.substring(0, 2), 10),
+    year: parseInt('20' + monthDigits.substring(2, 4), 10)
+  };
+}
+
+/**
+ * Headless core of monthHours - never opens a dialog, so it can run from
+ * time-driven triggers, other scripts or the Apps Script API
+ * @param {Object|string} params - Month (see resolveMonthParams), plus optional
+ *   bookingTypes: array of 'e', 'i', 'na' (defaults to all three),
+ *   reconcile: true to also match the bookings row by row and write the discrepancy tab,
+ *   keyColumns: column letters for the reconciliation (defaults to RECONCILE_KEY_COLUMNS),
+ *   byDay: true to also write the per-day and per-weekday validation tab,
+ *   checkData: true to also check the data quality of all booking tabs,
+ *   checkSplits: true to also validate that the split rows are split per clock hour
+ * @return {Object} {success, monthDigits, month, year, allValid, tabData, results}
+ *   tabData holds {primaryTab, secondaryTab, primarySum, secondarySum, isValid} per pair;
+ *   with reconcile also reconciliation (see reconcileMonthTabs) and reconciliationTab;
+ *   with byDay also dailyBreakdown (see buildDailyBreakdown) and dailyBreakdownTab;
+ *   with checkData also dataQuality (see checkMonthDataQuality) and dataQualityTab;
+ *   with checkSplits also splitIntegrity (see validateSplitIntegrity) and splitIntegrityTab
+ */
+function runMonthHours(params) {
+  var monthParams = resolveMonthParams(params);
+  var bookingTypes = (params && params.bookingTypes) || null;
+  debugLog("runMonthHours for " + monthParams.monthDigits);
+  
+  var validationData = validateMonthTabs(monthParams.monthDigits, bookingTypes);
+  
+  console.log("Completed monthHours validation for " + monthParams.monthDigits + ": " +
+              (validationData.allValid ? "all valid" : "NOT valid"));
+              
+  var result = {
+    success: true,
+    monthDigits: monthParams.monthDigits,
+    month: monthParams.month,
+    year: monthParams.year,
+    allValid: validationData.allValid,
+    tabData: validationData.tabData,
+    results: validationData.results
+  };
+  
+  var title = MONTH_NAMES[monthParams.month - 1] + '-' + monthParams.monthDigits.substring(2);
+  
+  if (params && params.reconcile) {
+    result.reconciliation = reconcileMonthTabs(monthParams.monthDigits, bookingTypes, params.keyColumns);
+    result.reconciliationTab = writeReconciliationReport(SpreadsheetApp.getActiveSpreadsheet(),
+                                                         result.reconciliation, title);
+    console.log("Reconciliation for " + monthParams.monthDigits + " written to " + result.reconciliationTab);
+  }
+  
+  if (params && params.byDay) {
+    result.dailyBreakdown = buildDailyBreakdown(monthParams.monthDigits, bookingTypes);
+    result.dailyBreakdownTab = writeDailyBreakdownReport(SpreadsheetApp.getActiveSpreadsheet(),
+                                                         result.dailyBreakdown, title);
+    console.log("Daily breakdown for " + monthParams.monthDigits + " written to " + result.dailyBreakdownTab);
+  }
+  
+  if (params && params.checkData) {
+    result.dataQuality = checkMonthDataQuality(monthParams.monthDigits);
+    result.dataQualityTab = writeDataQualityReport(SpreadsheetApp.getActiveSpreadsheet(),
+                                                   result.dataQuality, title);
+    console.log("Data quality for " + monthParams.monthDigits + " written to " + result.dataQualityTab);
+  }
+  
+  if (params && params.checkSplits) {
+    result.splitIntegrity = validateSplitIntegrity(monthParams.monthDigits, bookingTypes);
+    result.splitIntegrityTab = writeSplitIntegrityReport(SpreadsheetApp.getActiveSpreadsheet(),
+                                                         result.splitIntegrity, title);
+    console.log("Split integrity for " + monthParams.monthDigits + " written to " + result.splitIntegrityTab);
+  }
+  
+  var checkedCount = 0;
+  for (var name in validationData.tabData) {
+    checkedCount++;
+  }
+  appendAuditLog({
+    monthDigits: monthParams.monthDigits,
+    action: 'Validate',
+    bookingTypes: bookingTypes,
+    tabData: validationData.tabData,
+    result: checkedCount === 0 && validationData.allValid ? '' : (validationData.allValid ? 'PASS' : 'FAIL'),
+    tabName: [result.reconciliationTab, result.dailyBreakdownTab, result.dataQualityTab, result.splitIntegrityTab]
+      .filter(function(tabName) { return !!tabName; }).join(', ')
+  });
+  
+  return result;
+}
+
+/**
+ * Compares column H totals of the primary and secondary tabs of a month
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Array} bookingTypes - Optional. Pair names to check ('e', 'i', 'na'); defaults to all
+ * @return {Object} Validation results {monthDigits, tabData, allValid, results}
+ */
+function validateMonthTabs(monthDigits, bookingTypes) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
   // Define tab pairs to check
   var tabPairs = [
     { primary: monthDigits + 'e', secondary: monthDigits + 'e_2', name: 'e' },
@@ -162,12 +425,16 @@ function monthHours(returnData) {
   var validationData = {
     monthDigits: monthDigits,
     tabData: {},
-    allValid: true
+    allValid: true,
+    results: results
   };
   
   // Process each tab pair
   for (var i = 0; i < tabPairs.length; i++) {
     var pair = tabPairs[i];
+    if (bookingTypes && bookingTypes.indexOf(pair.name) < 0) {
+      continue;
+    }
     debugLog("Processing pair: " + pair.name);
     
     // Get primary tab
@@ -198,36 +465,47 @@ function monthHours(returnData) {
     var secondarySum = sumColumnH(secondarySheet, pair.secondary);
     debugLog("Sum for " + pair.secondary + " column H: " + secondarySum);
     
-    // Compare sums
-    var isEqual = primarySum === secondarySum;
+    // Compare sums (split pieces are rounded, so allow for rounding differences)
+    var isEqual = Math.abs(primarySum - secondarySum) <= 0.01;
     debugLog("Comparison result for " + pair.name + ": " + (isEqual ? "EQUAL" : "NOT EQUAL"));
     
     results.push(pair.name + " comparison: " + primarySum + " vs " + secondarySum + " - " + (isEqual ? "EQUAL" : "NOT EQUAL"));
     
-    // Store data if requested
-    if (returnData) {
-      validationData.tabData[pair.name] = {
-        primarySheet: primarySheet,
-        secondarySheet: secondarySheet,
-        primarySum: primarySum,
-        secondarySum: secondarySum,
-        isValid: isEqual
-      };
-      if (!isEqual) {
-        validationData.allValid = false;
-      }
+    validationData.tabData[pair.name] = {
+      primaryTab: pair.primary,
+      secondaryTab: pair.secondary,
+      primarySum: primarySum,
+      secondarySum: secondarySum,
+      isValid: isEqual
+    };
+    if (!isEqual) {
+      validationData.allValid = false;
     }
   }
   
-  // Display results
-  var resultMessage = "Results for month " + monthDigits + ":\n\n" + results.join("\n");
-  ui.alert('Month Hours Results', resultMessage, ui.ButtonSet.OK);
-  console.log("Completed monthHours function");
+  return validationData;
+}
+
+/**
+ * Helper function to read an hours value from column H
+ * Numbers are used as they are; text such as "1.5" or the comma-decimal "1,5"
+ * is coerced to a number.
+ * @param {*} value - Cell value from column H
+ * @return {number|null} Hours, or null if the value is not a number
+ */
+function parseHoursValue(value) {
+  if (typeof value === 'number') {
+    return isNaN(value) ? null : value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
   
-  // Return data if requested
-  if (returnData) {
-    return validationData;
+  var match = value.trim().match(/^(-?\d+)(?:[.,](\d+))?$/);
+  if (!match) {
+    return null;
   }
+  return parseFloat(match[1] + (match[2] ? '.' + match[2] : ''));
 }
 
 /**
@@ -258,10 +536,10 @@ function sumColumnH(sheet, sheetName) {
   var sum = 0;
   var numericCount = 0;
   
-  // Sum numeric values
+  // Sum numeric values (comma-decimal text such as "1,5" is coerced)
   for (var i = 0; i < values.length; i++) {
-    var value = values[i][0];
-    if (typeof value === 'number' && !isNaN(value)) {
+    var value = parseHoursValue(values[i][0]);
+    if (value !== null) {
       sum += value;
       numericCount++;
     }
@@ -279,6 +557,7 @@ function sumColumnH(sheet, sheetName) {
  * @return {string} Time in AM/PM format
  */
 function formatTimeAMPM(hour) {
+  if (REPORT_LOCALE === 'he') return ('0' + hour).slice(-2) + ':00';
   if (hour === 0) return "12AM";
   if (hour === 24) return "Midnight";
   if (hour === 12) return "12PM";
@@ -294,9 +573,9 @@ function formatTimeAMPM(hour) {
 function parseHourFromTime(timeValue) {
   if (!timeValue && timeValue !== 0) return 0;
   
-  // If it's already a Date object
+  // If it's already a Date object (read in the spreadsheet time zone)
   if (timeValue instanceof Date) {
-    return timeValue.getHours();
+    return getZonedDateParts(timeValue).hour;
   }
   
   // If it's a number (decimal time)
@@ -366,142 +645,291 @@ function getClubInfo() {
 }
 
 /**
- * calculateAvailableHours Function
- * 
- * Calculates the maximum available hours for each time slot based on:
- * - Club opening hours (from ClubInfo A9:B25)
- * - Number of courts available (maxHoursPerHour from ClubInfo D5)
- * - Day of the week for each date in the month
- * 
- * @param {number} monthNum - Month number (1-12)
- * @param {number} year - Full year (e.g., 2025)
- * @return {Object} Object containing availableGrid and metadata
+ * Resolves the report slot size
+ * @param {number|string} slotMinutes - Optional. Requested slot size in minutes
+ * @return {number} 60, 30 or 15 (SLOT_MINUTES when not given)
+ * @throws {Error} If the slot size is not supported
  */
-function calculateAvailableHours(monthNum, year) {
-  debugLog("=== INSIDE CALCULATEAVAILABLEHOURS ===");
-  debugLog("Calculating available hours for month " + monthNum + "/" + year);
-  
-  // Get club info from cache
-  var clubInfo = getClubInfo();
-  var clubInfoSheet = clubInfo.sheet;
-  var maxHoursPerHour = clubInfo.maxHoursPerHour;
-  
-  debugLog("Max hours per hour (courts): " + maxHoursPerHour);
+function resolveSlotMinutes(slotMinutes) {
+  if (slotMinutes === undefined || slotMinutes === null || slotMinutes === '') {
+    slotMinutes = SLOT_MINUTES;
+  }
+  slotMinutes = parseInt(slotMinutes, 10);
   
-  // Get opening hours - check both possible formats
-  debugLog("=== READING OPENING HOURS IN CALCULATEAVAILABLEHOURS ===");
+  if ([60, 30, 15].indexOf(slotMinutes) < 0) {
+    throw new Error('Unsupported slot size: ' + slotMinutes + ' minutes. Use 60, 30 or 15.');
+  }
+  return slotMinutes;
+}
+
+/**
+ * Reads the opening hours of each day from ClubInfo
+ * Uses the A9:B25 rows when they hold data, otherwise the D5:K7 grid. A day may
+ * have several opening windows: "06:00-12:00, 16:00-23:00" in one cell, several
+ * A9:B25 rows for the same day, or comma-separated open and close times in the grid.
+ * @param {Sheet} clubInfoSheet - The ClubInfo sheet
+ * @return {Object} {format: 'rows' (A9:B25) or 'grid' (D5:K7),
+ *   dayOpeningHours: {dayName: {open, close, windows: [{open, close}]}} with open/close the first opening
+ *   and last closing hour, entries: [{cell, dayName, raw, windows (null when unparseable)}] one per day row or grid column}
+ */
+function readOpeningHours(clubInfoSheet) {
+  debugLog("=== READING OPENING HOURS ===");
   var openingHoursData = clubInfoSheet.getRange('A9:B25').getValues();
   debugLog("Read " + openingHoursData.length + " rows from A9:B25");
   
   var dayOpeningHours = {};
+  var entries = [];
   var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  var earliestHour = 24;
-  var latestHour = 0;
   
   // Check if we have data in A9:B25 format
   var hasTraditionalFormat = false;
-  var validRowCount = 0;
   for (var i = 0; i < openingHoursData.length; i++) {
     if (openingHoursData[i][0] && openingHoursData[i][1]) {
-      validRowCount++;
-      if (!hasTraditionalFormat) {
-        hasTraditionalFormat = true;
-        debugLog("  First valid data found at row " + i + ", setting hasTraditionalFormat = true");
-      }
+      hasTraditionalFormat = true;
+      break;
     }
   }
   
-  debugLog("hasTraditionalFormat = " + hasTraditionalFormat + ", total valid rows = " + validRowCount);
-  
   if (hasTraditionalFormat) {
-    // Use traditional A9:B25 format
-    debugLog("=== PARSING TRADITIONAL FORMAT IN CALCULATEAVAILABLEHOURS ===");
     debugLog("Using traditional opening hours format from A9:B25");
     
     for (var i = 0; i < openingHoursData.length; i++) {
-      var dayName = openingHoursData[i][0];
-      var hoursString = openingHoursData[i][1];
+      if (!openingHoursData[i][0] || !openingHoursData[i][1]) {
+        continue;
+      }
       
-      if (dayName && hoursString) {
-        debugLog("Parsing row " + (i+9) + ": Day='" + dayName + "', Hours='" + hoursString + "'");
-        
-        // Convert to string if needed
-        var hoursStr = hoursString.toString();
-        
-        // Parse HH:MM-HH:MM format
-        var parts = hoursStr.split('-');
-        if (parts.length === 2) {
-          var openTime = parts[0].trim();
-          var closeTime = parts[1].trim();
-          
-          var openHour = parseInt(openTime.split(':')[0]);
-          var closeHour = parseInt(closeTime.split(':')[0]);
-          
-          debugLog("  Parsed times: open=" + openHour + ", close=" + closeHour);
-          
-          // Handle midnight closing time (24:00 becomes 24, not 0)
-          if (closeTime === "24:00" || (closeHour === 0 && closeTime.indexOf("00:00") >= 0)) {
-            closeHour = 24;
-          }
-          
-          // Validate parsed hours
-          if (!isNaN(openHour) && !isNaN(closeHour)) {
-            dayOpeningHours[dayName] = {
-              open: openHour,
-              close: closeHour
-            };
-            debugLog("  Successfully stored: " + dayName + " = " + JSON.stringify(dayOpeningHours[dayName]));
-            
-            if (openHour < earliestHour) earliestHour = openHour;
-            if (closeHour > latestHour) latestHour = closeHour;
-          } else {
-            debugLog("  ERROR: Invalid hours for " + dayName);
-          }
-        }
+      var dayName = normalizeDayName(openingHoursData[i][0]);
+      var hoursString = openingHoursData[i][1].toString();
+      debugLog("Parsing row " + (i + 9) + ": Day='" + dayName + "', Hours='" + hoursString + "'");
+      
+      var windows = parseOpeningWindows(hoursString);
+      entries.push({ cell: 'B' + (i + 9), dayName: dayName, raw: hoursString, windows: windows });
+      if (windows) {
+        addOpeningWindows(dayOpeningHours, dayName, windows);
+      } else {
+        debugLog("  ERROR: Invalid hours for " + dayName);
       }
     }
-    
-    debugLog("=== AFTER PARSING IN CALCULATEAVAILABLEHOURS ===");
-    debugLog("dayOpeningHours: " + JSON.stringify(dayOpeningHours));
-    debugLog("dayOpeningHours keys: " + Object.keys(dayOpeningHours).join(", "));
   } else {
-    // Use grid format from D5:K7
     debugLog("Using grid opening hours format from D5:K7");
     var openingHoursRange = clubInfoSheet.getRange('D5:K7').getValues();
-    debugLog("Opening hours range data:");
-    debugLog("Row 0 (headers): " + openingHoursRange[0].join(", "));
-    debugLog("Row 1 (open times): " + openingHoursRange[1].join(", "));
-    debugLog("Row 2 (close times): " + openingHoursRange[2].join(", "));
+    var columnLetters = ['E', 'F', 'G', 'H', 'I', 'J', 'K'];
     
     // Column E (index 1) through K (index 7) contain the days
     for (var i = 0; i < 7; i++) {
-      var dayName = dayNames[i];
-      var openTime = openingHoursRange[1][i + 1];  // Row 2 (index 1) is Open times
-      var closeTime = openingHoursRange[2][i + 1]; // Row 3 (index 2) is Close times
+      var openTimes = splitOpeningTimes(openingHoursRange[1][i + 1]);  // Row 2 (index 1) is Open times
+      var closeTimes = splitOpeningTimes(openingHoursRange[2][i + 1]); // Row 3 (index 2) is Close times
+      debugLog("Raw opening hours for " + dayNames[i] + ": open=" + openTimes.join(', ') + ", close=" + closeTimes.join(', '));
       
-      debugLog("Raw opening hours for " + dayName + ": open=" + openTime + ", close=" + closeTime + " (type: " + typeof openTime + ")");
-      
-      // Parse times
-      var openHour = parseHourFromTime(openTime);
-      var closeHour = parseHourFromTime(closeTime);
-      
-      // Handle midnight closing
-      if (closeHour === 0) {
-        closeHour = 24;
-        debugLog(dayName + " closes at midnight, setting closeHour to 24");
+      // Open and close times are paired in order
+      var windows = null;
+      if (openTimes.length === closeTimes.length) {
+        windows = [];
+        for (var w = 0; w < openTimes.length; w++) {
+          var openHour = parseGridOpeningTime(openTimes[w]);
+          var closeHour = parseGridOpeningTime(closeTimes[w]);
+          
+          // Handle midnight closing
+          if (closeHour === 0) {
+            closeHour = 24;
+          }
+          
+          // Closing after midnight
+          if (closeHour < openHour) {
+            closeHour += 24;
+          }
+          windows.push({ open: openHour, close: closeHour });
+        }
       }
       
-      dayOpeningHours[dayName] = {
-        open: openHour,
-        close: closeHour
-      };
-      
-      if (openHour < earliestHour) earliestHour = openHour;
-      if (closeHour > latestHour) latestHour = closeHour;
-      
-      debugLog(dayName + ": " + openHour + " - " + closeHour);
+      entries.push({
+        cell: columnLetters[i] + '6:' + columnLetters[i] + '7',
+        dayName: dayNames[i],
+        raw: openTimes.map(describeTimeCell).join(', ') + ' / ' + closeTimes.map(describeTimeCell).join(', '),
+        windows: windows
+      });
+      if (windows) {
+        addOpeningWindows(dayOpeningHours, dayNames[i], windows);
+      }
+    }
+  }
+  
+  debugLog("Day opening hours parsed: " + JSON.stringify(dayOpeningHours));
+  return { format: hasTraditionalFormat ? 'rows' : 'grid', dayOpeningHours: dayOpeningHours, entries: entries };
+}
+
+/**
+ * Parses the opening windows of one day in HH:MM-HH:MM format
+ * @param {string} hoursString - e.g. "06:30-22:30" or "06:00-12:00, 16:00-23:00" (comma, semicolon or line separated)
+ * @return {Array|null} Windows [{open, close}] in decimal hours (a close after midnight is above 24),
+ *   or null if any window cannot be parsed
+ */
+function parseOpeningWindows(hoursString) {
+  var windowTexts = hoursString.split(/[,;\n]/);
+  var windows = [];
+  
+  for (var i = 0; i < windowTexts.length; i++) {
+    var windowText = windowTexts[i].trim();
+    if (!windowText) {
+      continue;
+    }
+    
+    var parts = windowText.split('-');
+    if (parts.length !== 2) {
+      return null;
+    }
+    var openHour = parseOpeningTime(parts[0]);
+    var closeHour = parseOpeningTime(parts[1]);
+    if (openHour === null || closeHour === null) {
+      return null;
+    }
+    
+    // Handle midnight closing time (00:00 becomes 24, not 0)
+    if (closeHour === 0) {
+      closeHour = 24;
+    }
+    
+    // Closing after midnight (e.g., 22:00-02:00 closes at 26)
+    if (closeHour < openHour) {
+      closeHour += 24;
+    }
+    windows.push({ open: openHour, close: closeHour });
+  }
+  
+  return windows.length > 0 ? windows : null;
+}
+
+/**
+ * Parses an opening or closing time of an A9:B25 row, keeping the minutes
+ * @param {string} timeText - e.g. "06:30", "6", "22:30:00" or "10:30 PM"
+ * @return {number|null} Time in decimal hours (e.g., 6.5), or null if unparseable
+ */
+function parseOpeningTime(timeText) {
+  var timeStr = timeText.toString().trim();
+  var clockMatch = timeStr.match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?$/);
+  if (clockMatch) {
+    return parseInt(clockMatch[1], 10) + (clockMatch[2] ? parseInt(clockMatch[2], 10) / 60 : 0);
+  }
+  return parseTimeOfDay(timeStr);
+}
+
+/**
+ * Parses an open or close time of the D5:K7 grid, keeping the minutes
+ * @param {string|number|Date} timeValue - Cell value or one of its comma-separated times
+ * @return {number} Time in decimal hours (falls back to parseHourFromTime, so blank cells are 0)
+ */
+function parseGridOpeningTime(timeValue) {
+  var time = (timeValue instanceof Date || typeof timeValue === 'number') ?
+    parseTimeOfDay(timeValue) : parseOpeningTime(timeValue);
+  return time !== null ? time : parseHourFromTime(timeValue);
+}
+
+/**
+ * Splits a D5:K7 grid cell into its open or close times
+ * @param {string|number|Date} value - Cell value, e.g. a time or "06:00, 16:00"
+ * @return {Array} One value per window
+ */
+function splitOpeningTimes(value) {
+  if (typeof value === 'string' && /[,;\n]/.test(value)) {
+    return value.split(/[,;\n]/).map(function(part) { return part.trim(); }).filter(function(part) { return part !== ''; });
+  }
+  return [value];
+}
+
+/**
+ * Formats a time cell for diagnostics
+ * @param {string|number|Date} value - Cell value
+ * @return {string} The time (e.g., "9AM") for date and number cells, otherwise the text
+ */
+function describeTimeCell(value) {
+  if (value instanceof Date || typeof value === 'number') {
+    return formatTimeOfDay(parseTimeOfDay(value));
+  }
+  return String(value);
+}
+
+/**
+ * Adds opening windows to a day, keeping the windows in order of opening
+ * @param {Object} dayOpeningHours - Opening hours by day name (see readOpeningHours)
+ * @param {string} dayName - Day name (e.g., "Sunday")
+ * @param {Array} windows - Windows [{open, close}] to add
+ */
+function addOpeningWindows(dayOpeningHours, dayName, windows) {
+  var day = dayOpeningHours[dayName] || { windows: [] };
+  day.windows = day.windows.concat(windows);
+  day.windows.sort(function(a, b) { return a.open - b.open; });
+  
+  day.open = day.windows[0].open;
+  day.close = day.windows[0].close;
+  for (var w = 1; w < day.windows.length; w++) {
+    day.close = Math.max(day.close, day.windows[w].close);
+  }
+  dayOpeningHours[dayName] = day;
+}
+
+/**
+ * Counts how long the club is open between two times
+ * Overlapping windows count their shared time once.
+ * @param {Array} windows - Windows [{open, close}] in order of opening
+ * @param {number} from - Start in decimal hours (e.g., 9 or 9.5)
+ * @param {number} to - End in decimal hours
+ * @return {number} Open time in hours, to the minute (e.g., 0.5 when a 9AM slot opens at 9:30AM)
+ */
+function getOpenHoursBetween(windows, from, to) {
+  var openHours = 0;
+  var coveredUntil = from;
+  for (var w = 0; w < windows.length; w++) {
+    var start = Math.max(windows[w].open, coveredUntil);
+    var end = Math.min(windows[w].close, to);
+    if (end > start) {
+      openHours += end - start;
+      coveredUntil = end;
     }
   }
+  // Whole minutes, so 14:20 does not leave rounding noise in the grid
+  return Math.round(openHours * 60) / 60;
+}
+
+/**
+ * calculateAvailableHours Function
+ * 
+ * Calculates the maximum available hours for each time slot based on:
+ * - Club opening hours (from ClubInfo A9:B25 or D5:K7, see readOpeningHours)
+ * - Number of courts available (maxHoursPerHour from ClubInfo D5)
+ * - Day of the week for each date in the month
+ * 
+ * Each time slot is available for maxHoursPerHour times its share of an hour; a slot
+ * the club is open for only part of (e.g., 6AM when opening at 6:30AM) gets that fraction.
+ * 
+ * @param {number} monthNum - Month number (1-12)
+ * @param {number} year - Full year (e.g., 2025)
+ * @param {number} slotMinutes - Optional. Slot size in minutes: 60, 30 or 15 (defaults to SLOT_MINUTES)
+ * @return {Object} Object containing availableGrid and metadata
+ * @throws {Error} If the slot size is not supported
+ */
+function calculateAvailableHours(monthNum, year, slotMinutes) {
+  debugLog("=== INSIDE CALCULATEAVAILABLEHOURS ===");
+  debugLog("Calculating available hours for month " + monthNum + "/" + year);
+  slotMinutes = resolveSlotMinutes(slotMinutes);
+  
+  // Get club info from cache
+  var clubInfo = getClubInfo();
+  var clubInfoSheet = clubInfo.sheet;
+  var maxHoursPerHour = clubInfo.maxHoursPerHour;
+  
+  debugLog("Max hours per hour (courts): " + maxHoursPerHour);
+  
+  // Get opening hours (one or more windows per day)
+  var openingHours = readOpeningHours(clubInfoSheet);
+  var dayOpeningHours = openingHours.dayOpeningHours;
+  var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  var earliestHour = 24;
+  var latestHour = 0;
+  
+  for (var dayName in dayOpeningHours) {
+    if (dayOpeningHours[dayName].open < earliestHour) earliestHour = dayOpeningHours[dayName].open;
+    if (dayOpeningHours[dayName].close > latestHour) latestHour = dayOpeningHours[dayName].close;
+  }
   
   debugLog("=== END OF OPENING HOURS PARSING IN CALCULATEAVAILABLEHOURS ===");
   debugLog("Earliest opening hour: " + earliestHour);
@@ -519,21 +947,39 @@ function calculateAvailableHours(monthNum, year) {
     for (var i = 0; i < dayNames.length; i++) {
       dayOpeningHours[dayNames[i]] = {
         open: 8,
-        close: 23
+        close: 23,
+        windows: [{ open: 8, close: 23 }]
       };
     }
     debugLog("After defaults, dayOpeningHours: " + JSON.stringify(dayOpeningHours));
   }
   
+  // Hours after midnight only have rows up to the business day cutoff
+  for (var dayName in dayOpeningHours) {
+    if (dayOpeningHours[dayName].close > 24 + BUSINESS_DAY_CUTOFF_HOUR) {
+      console.log("WARNING: " + dayName + " closes after the business day cutoff (" + BUSINESS_DAY_CUTOFF_HOUR +
+                  "), counting it as open until " + formatTimeOfDay(24 + BUSINESS_DAY_CUTOFF_HOUR) +
+                  ". Raise BUSINESS_DAY_CUTOFF_HOUR to include the late hours.");
+      dayOpeningHours[dayName].close = 24 + BUSINESS_DAY_CUTOFF_HOUR;
+      var windows = dayOpeningHours[dayName].windows;
+      for (var w = 0; w < windows.length; w++) {
+        windows[w].close = Math.min(windows[w].close, 24 + BUSINESS_DAY_CUTOFF_HOUR);
+      }
+    }
+  }
+  latestHour = Math.min(latestHour, 24 + BUSINESS_DAY_CUTOFF_HOUR);
+  
   // Build day of week cache for the month
   var dayOfWeekCache = buildDayOfWeekCache(monthNum, year);
   
   // Calculate days in month
   var daysInMonth = new Date(year, monthNum, 0).getDate();
   
-  // Build hour rows
+  // Build hour rows (whole hours, a 6:30AM opening starts at the 6AM row)
+  earliestHour = Math.floor(earliestHour);
+  latestHour = Math.ceil(latestHour);
   var timeRows = [];
-  var lastHourRow = latestHour === 24 ? 23 : latestHour - 1;
+  var lastHourRow = latestHour - 1;
   
   debugLog("Building time rows from " + earliestHour + " to " + lastHourRow);
   
@@ -544,9 +990,12 @@ function calculateAvailableHours(monthNum, year) {
     lastHourRow = 23;
   }
   
-  for (var hour = earliestHour; hour <= lastHourRow; hour++) {
-    timeRows.push(hour);
+  // One row per slot, e.g. 9, 9.5, 10 for 30 minute slots
+  for (var minute = earliestHour * 60; minute < (lastHourRow + 1) * 60; minute += slotMinutes) {
+    timeRows.push(minute / 60);
   }
+  var slotCapacity = maxHoursPerHour * slotMinutes / 60;
+  var clockChangeDays = findClockChangeDays(monthNum, year);
   
   // Initialize available hours grid
   var availableGrid = [];
@@ -572,9 +1021,13 @@ function calculateAvailableHours(monthNum, year) {
       // Check if club is open during this hour
       var openingInfo = dayOpeningHours[dayName];
       
-      if (openingInfo && hour >= openingInfo.open && hour < openingInfo.close) {
-        // Club is open - set available hours to max
-        availableGrid[hourIndex][dayIndex] = maxHoursPerHour;
+      var openShare = openingInfo ? getOpenHoursBetween(openingInfo.windows, hour, hour + slotMinutes / 60) * 60 / slotMinutes : 0;
+      
+      if (openShare > 0) {
+        // Club is open - set available hours to max for the open share of the slot, scaled by the
+        // real length of the clock hour on daylight saving days (0 when skipped, 2 when repeated)
+        var hourLengths = clockChangeDays[day];
+        availableGrid[hourIndex][dayIndex] = slotCapacity * openShare * (hourLengths ? (hourLengths[Math.floor(hour)] || 0) : 1);
       } else {
         // Club is closed - 0 available hours
         availableGrid[hourIndex][dayIndex] = 0;
@@ -592,10 +1045,12 @@ function calculateAvailableHours(monthNum, year) {
     monthNum: monthNum,
     year: year,
     maxHoursPerHour: maxHoursPerHour,
+    slotMinutes: slotMinutes,
     earliestHour: earliestHour,
     latestHour: latestHour,
     dayOpeningHours: dayOpeningHours,
-    dayOfWeekCache: dayOfWeekCache
+    dayOfWeekCache: dayOfWeekCache,
+    clockChangeDays: clockChangeDays
   };
   
   debugLog("=== ABOUT TO RETURN FROM CALCULATEAVAILABLEHOURS ===");
@@ -641,109 +1096,645 @@ function batchFormat(sheet, formatSpecs) {
 }
 
 /**
- * createHoursDaysTable Function
- * 
- * Creates a cross-tabulation table showing booking patterns with integrated
- * availability calculation. Reads pre-split hourly data from e_2 tabs.
+ * Creates an empty grid filled with zeros
+ * @param {number} rowCount - Number of rows
+ * @param {number} columnCount - Number of columns
+ * @return {Array} 2D array of zeros
  */
-function createHoursDaysTable() {
-  console.log("Starting createHoursDaysTable function");
-  
-  // Get UI instance
-  var ui = SpreadsheetApp.getUi();
-  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  
-  // Prompt for 4-digit month
-  var response = ui.prompt('Create Hours-Days Table', 'Please enter a month (4 digits):', ui.ButtonSet.OK_CANCEL);
-  
-  // Check if user cancelled
-  if (response.getSelectedButton() != ui.Button.OK) {
-    debugLog("User cancelled the operation");
-    return;
+function createEmptyGrid(rowCount, columnCount) {
+  var grid = [];
+  for (var i = 0; i < rowCount; i++) {
+    grid.push(new Array(columnCount).fill(0));
   }
-  
-  var monthDigits = response.getResponseText();
-  debugLog("User input: " + monthDigits);
-  
-  // Validate input is exactly 4 digits
-  if (!/^\d{4}$/.test(monthDigits)) {
-    ui.alert('Invalid Input', 'Please enter exactly 4 digits.', ui.ButtonSet.OK);
-    console.log("Invalid input: not 4 digits");
-    return;
+  return grid;
+}
+
+/**
+ * Builds a lookup key for a calendar date
+ * @param {number} year - Full year (e.g., 2025)
+ * @param {number} monthNum - Month number (1-12)
+ * @param {number} day - Day of month (1-31)
+ * @return {string} Key in format YYYY-M-D
+ */
+function getDateKey(year, monthNum, day) {
+  return year + '-' + monthNum + '-' + day;
+}
+
+/**
+ * Gets the business day a booking belongs to
+ * Bookings starting before BUSINESS_DAY_CUTOFF_HOUR are part of the previous day's night.
+ * @param {Object} date - Calendar date of the booking {year, monthNum, day} (see parseBookingDate)
+ * @param {number|null} startHour - Start time in decimal hours, or null if unknown
+ * @return {Object} {year, monthNum, day} of the business day (the calendar date before the cutoff applies)
+ */
+function getBusinessDate(date, startHour) {
+  if (startHour !== null && startHour < BUSINESS_DAY_CUTOFF_HOUR) {
+    return getCalendarDateParts(new Date(date.year, date.monthNum - 1, date.day - 1, 12));
+  }
+  return date;
+}
+
+/**
+ * Reads the calendar date of a Date built in the script time zone
+ * Only for dates used as calendar arithmetic (e.g., "the day before"), never for cell values.
+ * @param {Date} date - Date built with new Date(year, monthIndex, day)
+ * @return {Object} {year, monthNum, day}
+ */
+function getCalendarDateParts(date) {
+  return { year: date.getFullYear(), monthNum: date.getMonth() + 1, day: date.getDate() };
+}
+
+/**
+ * Parses the booking date of column D
+ * Accepts Sheets date cells, date serial numbers, ISO strings (2025-05-29),
+ * named-month text (29-May-25) and numeric text (29/05/2025) in DATE_ORDER.
+ * Date cells are read in the spreadsheet time zone. The result is a calendar date,
+ * not a Date, so it cannot shift a day when the script runs in another time zone;
+ * use getZonedMidnight to write it back to a cell.
+ * @param {Date|number|string} dateValue - Raw value of the date cell
+ * @return {Object|null} {year, monthNum, day}, or null if the value is empty or cannot be parsed
+ */
+function parseBookingDate(dateValue) {
+  if (dateValue instanceof Date) {
+    if (isNaN(dateValue.getTime())) {
+      return null;
+    }
+    var dateParts = getZonedDateParts(dateValue);
+    return { year: dateParts.year, monthNum: dateParts.monthNum, day: dateParts.day };
+  }
+  if (typeof dateValue === 'number') {
+    // Sheets serial number: days since 30 Dec 1899
+    return dateValue > 0 && isFinite(dateValue) ?
+      getCalendarDateParts(new Date(1899, 11, 30 + Math.floor(dateValue), 12)) : null;
+  }
+  if (typeof dateValue !== 'string') {
+    return null;
   }
   
-  // Parse month and year from 4 digits (MMYY format)
-  var monthNum = parseInt(monthDigits.substring(0, 2));
-  var year = parseInt('20' + monthDigits.substring(2, 4));
-  debugLog("Parsed month: " + monthNum + ", year: " + year);
+  var text = dateValue.trim();
+  var year, monthNum, day;
+  var match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (match) {
+    year = parseInt(match[1], 10);
+    monthNum = parseInt(match[2], 10);
+    day = parseInt(match[3], 10);
+  } else if ((match = text.match(/^(\d{1,2})[-\/ ]([A-Za-z]{3,})\.?[-\/ ](\d{2}|\d{4})$/))) {
+    day = parseInt(match[1], 10);
+    monthNum = MONTH_NAMES.indexOf(match[2].charAt(0).toUpperCase() + match[2].substring(1, 3).toLowerCase()) + 1;
+    year = parseInt(match[3], 10);
+  } else if ((match = text.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2}|\d{4})$/))) {
+    day = parseInt(match[DATE_ORDER === 'MDY' ? 2 : 1], 10);
+    monthNum = parseInt(match[DATE_ORDER === 'MDY' ? 1 : 2], 10);
+    year = parseInt(match[3], 10);
+  } else {
+    return null;
+  }
   
-  // Convert month number to month name
-  var monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  var monthName = monthNames[monthNum - 1];
-  var yearShort = year.toString().substring(2);
+  if (year < 100) {
+    year += 2000;
+  }
+  var date = new Date(year, monthNum - 1, day, 12);
+  // Reject values such as 31/02 that would roll over into the next month
+  if (monthNum < 1 || date.getFullYear() !== year || date.getMonth() !== monthNum - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return { year: year, monthNum: monthNum, day: day };
+}
+
+/**
+ * Returns the spreadsheet time zone, used for every date and time read from cells
+ * Logs a warning the first time if the script project uses a different time zone.
+ * @return {string} Time zone ID (e.g., "Asia/Jerusalem")
+ */
+function getSpreadsheetTimeZone() {
+  if (TIME_ZONE_CACHE) {
+    return TIME_ZONE_CACHE;
+  }
   
-  // Get club info from cache
-  var clubInfo = getClubInfo();
-  var clubName = clubInfo.clubName;
-  var maxHoursPerHour = clubInfo.maxHoursPerHour;
+  var timeZoneCheck = checkTimeZoneSettings();
+  if (!timeZoneCheck.matches) {
+    console.log("WARNING: " + timeZoneCheck.message);
+  }
+  TIME_ZONE_CACHE = timeZoneCheck.spreadsheetTimeZone;
+  return TIME_ZONE_CACHE;
+}
+
+/**
+ * Compares the spreadsheet time zone with the script project time zone
+ * Date cells are converted with the script time zone, so a mismatch shifts
+ * getHours() and getDate() unless the spreadsheet time zone is used explicitly.
+ * @return {Object} {spreadsheetTimeZone, scriptTimeZone, matches, message}
+ */
+function checkTimeZoneSettings() {
+  var spreadsheetTimeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  var scriptTimeZone = Session.getScriptTimeZone();
+  var matches = spreadsheetTimeZone === scriptTimeZone;
+  
+  return {
+    spreadsheetTimeZone: spreadsheetTimeZone,
+    scriptTimeZone: scriptTimeZone,
+    matches: matches,
+    message: matches ? "Spreadsheet and script both use " + spreadsheetTimeZone :
+      "Spreadsheet time zone " + spreadsheetTimeZone + " differs from script time zone " + scriptTimeZone +
+      " (dates and times are read in the spreadsheet time zone; align them under File > Settings and Project Settings)"
+  };
+}
+
+/**
+ * Reads the calendar date and clock time of a Date in the spreadsheet time zone
+ * @param {Date} date - Date read from a cell
+ * @return {Object} {year, monthNum, day, hour, minute}
+ */
+function getZonedDateParts(date) {
+  var parts = Utilities.formatDate(date, getSpreadsheetTimeZone(), 'yyyy-MM-dd-HH-mm').split('-');
+  return {
+    year: parseInt(parts[0], 10),
+    monthNum: parseInt(parts[1], 10),
+    day: parseInt(parts[2], 10),
+    hour: parseInt(parts[3], 10),
+    minute: parseInt(parts[4], 10)
+  };
+}
+
+/**
+ * Returns the moment a calendar day starts in the spreadsheet time zone
+ * @param {number} year - Full year (e.g., 2025)
+ * @param {number} monthNum - Month number (1-12)
+ * @param {number} day - Day of the month (may run past the month end)
+ * @return {Date} Midnight of the day in the spreadsheet time zone
+ */
+function getZonedMidnight(year, monthNum, day) {
+  var date = new Date(year, monthNum - 1, day, 12);
+  return Utilities.parseDate(date.getFullYear() + '-' + (date.getMonth() + 1) + '-' + date.getDate() + ' 00:00',
+                             getSpreadsheetTimeZone(), 'yyyy-M-d HH:mm');
+}
+
+/**
+ * Finds the days of a month whose business day contains a daylight saving change
+ * and how long each of their clock hours really lasts: the skipped hour lasts 0
+ * hours and the repeated hour 2 hours.
+ * @param {number} monthNum - Month number (1-12)
+ * @param {number} year - Full year (e.g., 2025)
+ * @return {Object} Clock hour lengths keyed by day of the month, e.g. {30: {0: 1, 1: 1, 2: 0, 3: 1, ...}};
+ *   days without a clock change are left out
+ */
+function findClockChangeDays(monthNum, year) {
+  var hourMs = 60 * 60 * 1000;
+  var daysInMonth = new Date(year, monthNum, 0).getDate();
+  var spanDays = BUSINESS_DAY_CUTOFF_HOUR > 0 ? 2 : 1;
+  var businessDayEnd = 24 + BUSINESS_DAY_CUTOFF_HOUR;
+  var clockChangeDays = {};
   
-  debugLog("Club name: " + clubName);
-  debugLog("Max hours per hour: " + maxHoursPerHour);
+  var midnights = [];
+  for (var d = 1; d <= daysInMonth + spanDays; d++) {
+    midnights.push(getZonedMidnight(year, monthNum, d).getTime());
+  }
   
-  // Calculate available hours for the month
-  debugLog("=== STARTING CALCULATEAVAILABLEHOURS ===");
-  var availabilityData = calculateAvailableHours(monthNum, year);
-  debugLog("=== RETURNED FROM CALCULATEAVAILABLEHOURS ===");
-  debugLog("availabilityData keys: " + Object.keys(availabilityData).join(", "));
+  for (var day = 1; day <= daysInMonth; day++) {
+    if (midnights[day - 1 + spanDays] - midnights[day - 1] === spanDays * 24 * hourMs) {
+      continue;
+    }
+    
+    // Walk the business day hour by hour and count how often each clock hour occurs
+    var hourLengths = {};
+    for (var step = 0; step < businessDayEnd + 2; step++) {
+      var parts = getZonedDateParts(new Date(midnights[day - 1] + step * hourMs));
+      var clockHour = parts.hour + (parts.day === day ? 0 : 24);
+      if (clockHour >= businessDayEnd) {
+        break;
+      }
+      hourLengths[clockHour] = (hourLengths[clockHour] || 0) + 1;
+    }
+    for (var h = 0; h < businessDayEnd; h++) {
+      hourLengths[h] = hourLengths[h] || 0;
+    }
+    clockChangeDays[day] = hourLengths;
+    debugLog("Clock change on " + day + "/" + monthNum + "/" + year + ": " + JSON.stringify(hourLengths));
+  }
   
-  var availableGrid = availabilityData.availableGrid;
-  var timeRows = availabilityData.timeRows;
-  var daysInMonth = availabilityData.daysInMonth;
-  var dayOpeningHours = availabilityData.dayOpeningHours;
-  var earliestHour = availabilityData.earliestHour;
-  var latestHour = availabilityData.latestHour;
+  return clockChangeDays;
+}
+
+/**
+ * Builds the report day columns for every date between two dates
+ * @param {Date} startDate - First date of the range (inclusive)
+ * @param {Date} endDate - Last date of the range (inclusive)
+ * @return {Array} Array of column objects {day, monthNum, year, key, label}
+ */
+function buildDateColumns(startDate, endDate) {
+  var columns = [];
+  var current = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  var last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  
+  while (current <= last) {
+    var day = current.getDate();
+    var monthNum = current.getMonth() + 1;
+    var year = current.getFullYear();
+    
+    columns.push({
+      day: day,
+      monthNum: monthNum,
+      year: year,
+      key: getDateKey(year, monthNum, day),
+      label: ('0' + day).slice(-2) + '-' + MONTH_NAMES[monthNum - 1]  // Format as DD-MMM
+    });
+    
+    current.setDate(current.getDate() + 1);
+  }
   
-  debugLog("=== DATA RECEIVED IN CREATEHOURSDAYSTABLE ===");
-  debugLog("- dayOpeningHours: " + JSON.stringify(dayOpeningHours));
-  debugLog("- dayOpeningHours keys: " + Object.keys(dayOpeningHours).join(", "));
-  debugLog("- earliestHour: " + earliestHour);
-  debugLog("- latestHour: " + latestHour);
-  debugLog("- timeRows: " + timeRows.join(", "));
+  return columns;
+}
+
+/**
+ * Calculates available hours for an arbitrary date range, which may cross month boundaries
+ * @param {Date} startDate - First date of the range (inclusive)
+ * @param {Date} endDate - Last date of the range (inclusive)
+ * @param {number} slotMinutes - Optional. Slot size in minutes (defaults to SLOT_MINUTES)
+ * @return {Object} Same shape as calculateAvailableHours, with one grid column per date plus the columns array
+ */
+function calculateAvailableHoursForRange(startDate, endDate, slotMinutes) {
+  debugLog("Calculating available hours for range " + startDate.toDateString() + " - " + endDate.toDateString());
   
-  console.log("Available hours grid created");
-  debugLog("Time rows: " + timeRows.length + " from hour " + earliestHour + " to " + (latestHour - 1));
-  debugLog("Time rows array: " + timeRows.join(", "));
+  var columns = buildDateColumns(startDate, endDate);
+  var monthAvailability = {};
+  var firstMonthData = null;
+  var availableGrid = null;
   
-  // Build day of week cache
-  var dayOfWeekCache = buildDayOfWeekCache(monthNum, year);
-  debugLog("Day of week cache created");
+  for (var c = 0; c < columns.length; c++) {
+    var column = columns[c];
+    var monthKey = column.year + '-' + column.monthNum;
+    
+    // Calculate each touched month only once
+    if (!monthAvailability[monthKey]) {
+      monthAvailability[monthKey] = calculateAvailableHours(column.monthNum, column.year, slotMinutes);
+    }
+    var monthData = monthAvailability[monthKey];
+    
+    if (!availableGrid) {
+      firstMonthData = monthData;
+      availableGrid = createEmptyGrid(monthData.timeRows.length, columns.length);
+    }
+    
+    for (var r = 0; r < availableGrid.length; r++) {
+      availableGrid[r][c] = monthData.availableGrid[r][column.day - 1];
+    }
+  }
   
-  // Get source tabs
-  var sourceTabName = monthDigits + 'e_2';
-  var sourceSheet = spreadsheet.getSheetByName(sourceTabName);
+  return {
+    availableGrid: availableGrid,
+    timeRows: firstMonthData.timeRows,
+    columns: columns,
+    maxHoursPerHour: firstMonthData.maxHoursPerHour,
+    slotMinutes: firstMonthData.slotMinutes,
+    earliestHour: firstMonthData.earliestHour,
+    latestHour: firstMonthData.latestHour,
+    dayOpeningHours: firstMonthData.dayOpeningHours
+  };
+}
+
+/**
+ * Adds pre-split booking hours from an e_2 tab into a data grid
+ * @param {Array} sourceData - Values of the source tab (first row is the header)
+ * @param {Array} timeRows - Hours shown as grid rows
+ * @param {Array} columns - Report day columns from buildDateColumns
+ * @param {Array} dataGrid - Grid to add the booked hours to (timeRows x columns)
+ * @param {Object} placement - Optional. {sourceTabName, cellBookings, unplaced, ignoreOutsideDates} -
+ *   collects the source rows added to each cell as cellBookings["row,column"] = [{tabName, rowNumber, hours}]
+ *   and the rows that could not be placed as unplaced = [{tabName, rowNumber, date, start, hours, reason}].
+ *   With ignoreOutsideDates, rows dated outside the report columns are not listed as unplaced.
+ *   rowNumbers gives the tab row of each sourceData row when the rows were generated in memory.
+ * @param {number} slotMinutes - Optional. Slot size of timeRows in minutes (defaults to 60). With
+ *   smaller slots each row's hours are spread from its start time over the slots they cover.
+ * @return {number} Number of booking rows placed in the grid
+ */
+function aggregateSplitBookings(sourceData, timeRows, columns, dataGrid, placement, slotMinutes) {
+  slotMinutes = slotMinutes || 60;
   
-  if (!sourceSheet) {
-    console.log("Source tab not found: " + sourceTabName);
-    ui.alert('Error', 'Source tab ' + sourceTabName + ' not found.', ui.ButtonSet.OK);
-    return;
+  // Map each date to its column position
+  var columnIndexByDate = {};
+  for (var c = 0; c < columns.length; c++) {
+    columnIndexByDate[columns[c].key] = c;
   }
-  debugLog("Found source tab: " + sourceTabName);
   
-  // Get e tab for validation
-  var eTabName = monthDigits + 'e';
-  var eSheet = spreadsheet.getSheetByName(eTabName);
-  var eTotal = 0;
-  if (eSheet) {
-    eTotal = sumColumnH(eSheet, eTabName);
-    debugLog("Total from " + eTabName + ": " + eTotal);
+  var processedCount = 0;
+  
+  debugLog("Processing " + (sourceData.length - 1) + " data rows");
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var rowData = sourceData[i];
+    var rowNumber = placement && placement.rowNumbers ? placement.rowNumbers[i] : i + 1;
+    
+    var dateValue = rowData[3];  // Column D
+    var startTime = rowData[5];  // Column F
+    var hours = parseHoursValue(rowData[7]);  // Column H
+    
+    // Debug first few rows
+    if (i <= 5 && DEBUG_MODE) {
+      debugLog("Row " + i + " - Date: " + dateValue + " (type: " + typeof dateValue +
+               "), Start: " + startTime + " (type: " + typeof startTime +
+               "), Hours: " + hours);
+    }
+    
+    if (dateValue && startTime && hours) {
+      // Parse the start time to get the hour
+      var hour;
+      
+      // Handle different time formats
+      if (startTime instanceof Date) {
+        // If it's already a Date object (time only), read in the spreadsheet time zone
+        hour = parseHourFromTime(startTime);
+      } else if (typeof startTime === 'number') {
+        // If it's a decimal (0.5 = 12:00 PM)
+        hour = Math.floor(startTime * 24);
+      } else {
+        // If it's a string, try parsing it
+        var timeStr = startTime.toString();
+        hour = parseHourFromTime(timeStr);
+      }
+      
+      debugLog("Parsed hour " + hour + " from start time: " + startTime);
+      
+      // Sub-hour slots need the minutes of the start time
+      var startMinute = hour * 60;
+      if (slotMinutes < 60) {
+        var startOfDay = parseTimeOfDay(startTime);
+        if (startOfDay !== null) {
+          startMinute = Math.round(startOfDay * 60);
+          hour = Math.floor(startMinute / slotMinutes) * slotMinutes / 60;
+        }
+      }
+      
+      // Parse the date; late-night bookings belong to the previous business day
+      var bookingDate = parseBookingDate(dateValue);
+      if (bookingDate && hour < BUSINESS_DAY_CUTOFF_HOUR) {
+        bookingDate = getBusinessDate(bookingDate, hour);
+        hour += 24;
+        startMinute += 24 * 60;
+      }
+      var bookingDay = bookingDate ? bookingDate.day : null;
+      var dayIndex = bookingDate ?
+        columnIndexByDate[getDateKey(bookingDate.year, bookingDate.monthNum, bookingDay)] : undefined;
+        
+      // Check if booking is in the reported dates
+      if (dayIndex !== undefined) {
+        // Find grid position
+        var hourIndex = timeRows.indexOf(hour);
+        
+        if (hourIndex >= 0) {
+          // Add the hours to the grid; sub-hour slots share them from the start time on
+          var slotShares = [{ index: hourIndex, hours: hours }];
+          var overflowHours = 0;
+          if (slotMinutes < 60 && hours > 0) {
+            slotShares = [];
+            var remainingMinutes = hours * 60;
+            for (var s = hourIndex; s < timeRows.length && remainingMinutes > 0.001; s++) {
+              var slotEndMinute = Math.round(timeRows[s] * 60) + slotMinutes;
+              var shareMinutes = Math.min(slotEndMinute - startMinute, remainingMinutes);
+              slotShares.push({ index: s, hours: shareMinutes / 60 });
+              remainingMinutes -= shareMinutes;
+              startMinute = slotEndMinute;
+            }
+            overflowHours = remainingMinutes > 0.001 ? remainingMinutes / 60 : 0;
+          }
+          
+          for (var sh = 0; sh < slotShares.length; sh++) {
+            dataGrid[slotShares[sh].index][dayIndex] += slotShares[sh].hours;
+            
+            if (placement) {
+              var cellKey = slotShares[sh].index + ',' + dayIndex;
+              if (!placement.cellBookings[cellKey]) {
+                placement.cellBookings[cellKey] = [];
+              }
+              placement.cellBookings[cellKey].push({ tabName: placement.sourceTabName, rowNumber: rowNumber,
+                                                     hours: slotShares[sh].hours });
+            }
+          }
+          processedCount++;
+          
+          if (overflowHours > 0) {
+            recordUnplacedBooking(placement, rowNumber, rowData, overflowHours, 'Runs past the latest closing hour (' +
+                                  formatTimeOfDay(timeRows[timeRows.length - 1] + slotMinutes / 60) + ')');
+          }
+          
+          if (processedCount <= 10 && DEBUG_MODE) {
+            debugLog("Added " + hours + " hours from " + formatTimeOfDay(hour) + " on day " + bookingDay);
+          }
+        } else {
+          debugLog("Warning: Could not place booking - hour: " + hour + ", day: " + bookingDay +
+                   ", hourIndex: " + hourIndex + ", dayIndex: " + dayIndex);
+          if (timeRows.length === 0) {
+            recordUnplacedBooking(placement, rowNumber, rowData, hours, 'Club closed all month (no hour rows)');
+          } else if (hour < timeRows[0]) {
+            recordUnplacedBooking(placement, rowNumber, rowData, hours,
+                                  'Starts before the earliest opening hour (' + formatTimeOfDay(timeRows[0]) + ')');
+          } else if (hour > timeRows[timeRows.length - 1]) {
+            recordUnplacedBooking(placement, rowNumber, rowData, hours, 'Starts after the latest closing hour (' +
+                                  formatTimeOfDay(timeRows[timeRows.length - 1] + slotMinutes / 60) + ')');
+          } else {
+            recordUnplacedBooking(placement, rowNumber, rowData, hours,
+                                  'Start hour ' + formatTimeOfDay(hour) + ' is not a report row');
+          }
+        }
+      } else if (!bookingDate) {
+        recordUnplacedBooking(placement, rowNumber, rowData, hours, 'Unparseable date');
+      } else if (!placement || !placement.ignoreOutsideDates) {
+        recordUnplacedBooking(placement, rowNumber, rowData, hours, 'Date outside the report period');
+      }
+    } else if (hours) {
+      recordUnplacedBooking(placement, rowNumber, rowData, hours, dateValue ? 'Missing start time' : 'Missing date');
+    }
+  }
+  
+  return processedCount;
+}
+
+/**
+ * Lists a split row that could not be placed in the report grid (see aggregateSplitBookings)
+ * @param {Object} placement - Placement collector; nothing is recorded without one
+ * @param {number} rowNumber - Tab row of the booking
+ * @param {Array} rowData - Values of the row
+ * @param {number|null} hours - Hours left out of the grid
+ * @param {string} reason - Why the row could not be placed
+ */
+function recordUnplacedBooking(placement, rowNumber, rowData, hours, reason) {
+  if (placement) {
+    placement.unplaced.push({ tabName: placement.sourceTabName, rowNumber: rowNumber, date: rowData[3], start: rowData[5],
+                              hours: hours, reason: reason });
+  }
+}
+
+/**
+ * Helper function to sum column H values for rows dated within the report columns
+ * @param {Sheet} sheet - The sheet to process
+ * @param {string} sheetName - Name of the sheet (for logging)
+ * @param {Array} columns - Report day columns from buildDateColumns
+ * @return {number} Sum of numeric column H values whose column D date is in range
+ */
+function sumColumnHForDates(sheet, sheetName, columns) {
+  debugLog("Summing column H by date for sheet: " + sheetName);
+  
+  var dateKeys = {};
+  for (var c = 0; c < columns.length; c++) {
+    dateKeys[columns[c].key] = true;
+  }
+  
+  var dataRange = sheet.getDataRange();
+  if (dataRange.getLastRow() === 0 || dataRange.getLastColumn() < 8) {
+    debugLog("No data in column H of sheet " + sheetName);
+    return 0;
+  }
+  
+  var values = dataRange.getValues();
+  var sum = 0;
+  var unparseableRows = [];
+  
+  for (var i = 0; i < values.length; i++) {
+    var dateValue = values[i][3];  // Column D
+    var value = parseHoursValue(values[i][7]);  // Column H
+    
+    if (dateValue && value !== null) {
+      var date = parseBookingDate(dateValue);
+      if (!date) {
+        unparseableRows.push(i + 1);
+        continue;
+      }
+      date = getBusinessDate(date, parseTimeOfDay(values[i][5]));
+      if (dateKeys[getDateKey(date.year, date.monthNum, date.day)]) {
+        sum += value;
+      }
+    }
+  }
+  
+  if (unparseableRows.length > 0) {
+    console.log("WARNING: " + sheetName + " rows with unparseable dates left out of the range total: " +
+                unparseableRows.join(', '));
+  }
+  debugLog("Sum in range for " + sheetName + ": " + sum);
+  return sum;
+}
+
+/**
+ * Places the split rows of a report's months in its grid and sums their tabs
+ * Under a business day cutoff the split tab of the month after the last column is
+ * read too (when it exists), since the after-midnight rows of the last day are dated
+ * the next day. Only its rows of the report's dates are placed and counted.
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Array} monthDigitsList - MMYY of every month the report columns cover (their split tabs must exist)
+ * @param {string} bookingType - 'e', 'i' or 'na'
+ * @param {Object} grid - {timeRows, columns, dataGrid, slotMinutes}
+ * @param {Object} placement - Placement collector (see aggregateSplitBookings); with ignoreOutsideDates
+ *   the month tabs are summed for the report's dates only, otherwise as a whole
+ * @return {Object} {primaryTotal, splitTotal, processedCount}
+ */
+function aggregateReportTabs(spreadsheet, monthDigitsList, bookingType, grid, placement) {
+  var tabs = [];
+  for (var m = 0; m < monthDigitsList.length; m++) {
+    tabs.push({ monthDigits: monthDigitsList[m], datedOnly: !!placement.ignoreOutsideDates });
+  }
+  
+  // After-midnight rows of the last day belong to it under a cutoff but sit in the next month's tab
+  if (BUSINESS_DAY_CUTOFF_HOUR > 0) {
+    var lastColumn = grid.columns[grid.columns.length - 1];
+    var nextDay = getCalendarDateParts(new Date(lastColumn.year, lastColumn.monthNum - 1, lastColumn.day + 1, 12));
+    var nextDigits = ('0' + nextDay.monthNum).slice(-2) + nextDay.year.toString().substring(2);
+    if (monthDigitsList.indexOf(nextDigits) < 0) {
+      if (spreadsheet.getSheetByName(nextDigits + bookingType + '_2')) {
+        tabs.push({ monthDigits: nextDigits, datedOnly: true });
+      } else {
+        debugLog("No " + nextDigits + bookingType + "_2 tab for the after-midnight rows of the last day");
+      }
+    }
+  }
+  
+  var totals = { primaryTotal: 0, splitTotal: 0, processedCount: 0 };
+  var ignoreOutsideDates = placement.ignoreOutsideDates;
+  
+  for (var t = 0; t < tabs.length; t++) {
+    var sourceTabName = tabs[t].monthDigits + bookingType + '_2';
+    var sourceSheet = spreadsheet.getSheetByName(sourceTabName);
+    var sourceDataRange = sourceSheet.getDataRange();
+    
+    if (sourceDataRange.getLastRow() > 0 && sourceDataRange.getLastColumn() > 0) {
+      placement.sourceTabName = sourceTabName;
+      placement.ignoreOutsideDates = tabs[t].datedOnly;
+      var processedCount = aggregateSplitBookings(sourceDataRange.getValues(), grid.timeRows, grid.columns, grid.dataGrid,
+                                                  placement, grid.slotMinutes);
+      totals.processedCount += processedCount;
+      debugLog("Processed " + processedCount + " bookings from " + sourceTabName);
+    }
+    totals.splitTotal += tabs[t].datedOnly ? sumColumnHForDates(sourceSheet, sourceTabName, grid.columns) :
+                                             sumColumnH(sourceSheet, sourceTabName);
+                                             
+    var eTabName = tabs[t].monthDigits + bookingType;
+    var eSheet = spreadsheet.getSheetByName(eTabName);
+    if (eSheet) {
+      totals.primaryTotal += tabs[t].datedOnly ? sumColumnHForDates(eSheet, eTabName, grid.columns) :
+                                                 sumColumnH(eSheet, eTabName);
+    }
+  }
+  placement.ignoreOutsideDates = ignoreOutsideDates;
+  
+  return totals;
+}
+
+/**
+ * Parses a date range typed by the user
+ * @param {string} text - Two dates in DD/MM/YYYY (or DD/MM/YY) format, e.g. "15/03/2025 - 14/04/2025"
+ * @return {Object|null} {startDate, endDate} or null if the input is not a valid range
+ */
+function parseDateRangeInput(text) {
+  var matches = text.match(/\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}/g);
+  if (!matches || matches.length !== 2) {
+    return null;
   }
   
-  // Get e_2 tab total
-  var e2Total = sumColumnH(sourceSheet, sourceTabName);
-  debugLog("Total from " + sourceTabName + ": " + e2Total);
+  var dates = [];
+  for (var i = 0; i < matches.length; i++) {
+    var parts = matches[i].split(/[\/.]/);
+    var day = parseInt(parts[0], 10);
+    var monthNum = parseInt(parts[1], 10);
+    var year = parseInt(parts[2].length === 2 ? '20' + parts[2] : parts[2], 10);
+    var date = new Date(year, monthNum - 1, day);
+    
+    // Reject dates that rolled over (e.g. 31/04)
+    if (date.getDate() !== day || date.getMonth() !== monthNum - 1 || date.getFullYear() !== year) {
+      return null;
+    }
+    dates.push(date);
+  }
+  
+  if (dates[0] > dates[1]) {
+    return null;
+  }
+  
+  return { startDate: dates[0], endDate: dates[1] };
+}
+
+/**
+ * Writes a complete hours/days report to a fresh destination tab
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} report - Report data:
+ *   destTabName, title, columns, timeRows, dataGrid, availableGrid,
+ *   dayOpeningHours, maxHoursPerHour, primaryTotal, splitTotal
+ *   Optional: primaryLabel, splitLabel, cornerLabel, totalRowLabel, slotMinutes (shown when not 60), columnUtilization (adds per-column
+ *   available hours and % utilization rows below the totals), capacityConflicts (from
+ *   findCapacityConflicts) and unplacedBookings (from aggregateSplitBookings), both listed
+ *   below the summary, auditAction (audit log action, 'Report' by default; see logReportRun)
+ * @return {Sheet} The created destination sheet
+ */
+function writeHoursDaysReport(spreadsheet, report) {
+  var destTabName = report.destTabName;
+  var columns = report.columns;
+  var numDays = columns.length;
+  var timeRows = report.timeRows;
+  var dataGrid = report.dataGrid;
+  var availableGrid = report.availableGrid;
+  var dayOpeningHours = report.dayOpeningHours;
+  var maxHoursPerHour = report.maxHoursPerHour;
+  var eTotal = report.primaryTotal;
+  var e2Total = report.splitTotal;
   
   // Create or get destination tab
-  var destTabName = monthName + '-' + yearShort + ' DH';
   var destSheet = spreadsheet.getSheetByName(destTabName);
   
   if (destSheet) {
@@ -753,21 +1744,22 @@ function createHoursDaysTable() {
   
   console.log("Creating new destination tab: " + destTabName);
   destSheet = spreadsheet.insertSheet(destTabName);
+  applyReportDirection(destSheet);
   
   // Format the sheet
   debugLog("Formatting sheet");
   
   // Ensure sheet has enough columns for all data
-  var requiredColumns = daysInMonth + 10; // days + time column + totals + utilization + buffer
+  var requiredColumns = numDays + 10; // days + time column + totals + utilization + buffer
   var currentColumns = destSheet.getMaxColumns();
   if (currentColumns < requiredColumns) {
     destSheet.insertColumnsAfter(currentColumns, requiredColumns - currentColumns);
     debugLog("Added " + (requiredColumns - currentColumns) + " columns to sheet");
   }
   
-  // Set column widths B to AF to 70 pixels
-  debugLog("Setting column widths B to AF");
-  for (var col = 2; col <= Math.min(32, daysInMonth + 1); col++) { // B=2, limit to actual days
+  // Set day column widths (B to AF for a full month) to 70 pixels
+  debugLog("Setting day column widths");
+  for (var col = 2; col <= numDays + 1; col++) { // B=2, limit to actual days
     destSheet.setColumnWidth(col, 70);
   }
   
@@ -780,7 +1772,7 @@ function createHoursDaysTable() {
   }
   
   // Set base formatting for entire sheet
-  var fullRange = destSheet.getRange(1, 1, 100, 50);
+  var fullRange = destSheet.getRange(1, 1, 100, Math.max(50, requiredColumns));
   fullRange.setFontFamily('Verdana');
   fullRange.setFontSize(10);
   fullRange.setBackground('#cbc9a2');
@@ -789,14 +1781,15 @@ function createHoursDaysTable() {
   var headerFormatSpecs = [
     {
       range: 'A1',
-      formula: '=CONCATENATE("' + monthName + '-' + yearShort + ' Detailed Hours and Usage"," ",ClubInfo!$B$4)',
+      formula: '=CONCATENATE("' + formatLabel('{0} Detailed Hours and Usage', [report.title]) + '"," ",ClubInfo!$B$4)',
       fontWeight: 'bold',
       fontSize: 11
     },
     {
       range: 'A3:E3',
-      values: [['Total E Hours', eTotal, 'Total Split Hours', e2Total, 
-                Math.abs(eTotal - e2Total) > 0.01 ? 'Please Check' : 'OK']]
+      values: [[translateLabel(report.primaryLabel || 'Total E Hours'), eTotal,
+                translateLabel(report.splitLabel || 'Total Split Hours'), e2Total,
+                translateLabel(Math.abs(eTotal - e2Total) > 0.01 ? 'Please Check' : 'OK')]]
     }
   ];
   
@@ -818,21 +1811,28 @@ function createHoursDaysTable() {
   // Max hours section
   headerFormatSpecs.push({
     range: 'A5:B5',
-    values: [['Max Hours per Hour', maxHoursPerHour]]
+    values: [[translateLabel('Max Hours per Hour'), maxHoursPerHour]]
   });
   
+  if (report.slotMinutes && report.slotMinutes !== 60) {
+    headerFormatSpecs.push({
+      range: 'A6:B6',
+      values: [[translateLabel('Slot Size'), report.slotMinutes + ' ' + translateLabel('min')]]
+    });
+  }
+  
   // Apply header formatting
   batchFormat(destSheet, headerFormatSpecs);
   
   // Opening hours table - prepare data
-  var openingHoursHeaders = [['Day', '', '', '', '', '', '', '']];
-  var openingHoursOpen = [['Open', '', '', '', '', '', '', '']];
-  var openingHoursClose = [['Close', '', '', '', '', '', '', '']];
+  var openingHoursHeaders = [[translateLabel('Day'), '', '', '', '', '', '', '']];
+  var openingHoursOpen = [[translateLabel('Open'), '', '', '', '', '', '', '']];
+  var openingHoursClose = [[translateLabel('Close'), '', '', '', '', '', '', '']];
   
   var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   for (var d = 0; d < 7; d++) {
     var dayName = dayNames[d];
-    openingHoursHeaders[0][d + 1] = dayName.substring(0, 3);
+    openingHoursHeaders[0][d + 1] = translateLabel(dayName.substring(0, 3));
     
     // Find matching key for opening hours
     var foundKey = null;
@@ -844,11 +1844,13 @@ function createHoursDaysTable() {
     }
     
     if (foundKey) {
-      openingHoursOpen[0][d + 1] = formatTimeAMPM(dayOpeningHours[foundKey].open);
-      openingHoursClose[0][d + 1] = formatTimeAMPM(dayOpeningHours[foundKey].close);
+      // Days with a midday break list each window's open and close time
+      var windows = dayOpeningHours[foundKey].windows;
+      openingHoursOpen[0][d + 1] = windows.map(function(openingWindow) { return formatTimeOfDay(openingWindow.open); }).join(', ');
+      openingHoursClose[0][d + 1] = windows.map(function(openingWindow) { return formatTimeOfDay(openingWindow.close); }).join(', ');
     } else {
-      openingHoursOpen[0][d + 1] = "Not Found";
-      openingHoursClose[0][d + 1] = "Not Found";
+      openingHoursOpen[0][d + 1] = translateLabel("Not Found");
+      openingHoursClose[0][d + 1] = translateLabel("Not Found");
     }
   }
   
@@ -866,19 +1868,17 @@ function createHoursDaysTable() {
   // Find last row after header sections
   var tableStartRow = 10;
   
-  // Build main table header row (days of month)
+  // Build main table header row (report dates)
   debugLog("Building main table header row");
-  var headerRow = ['Hours/Days'];  // Header for the time/days table
+  var headerRow = [translateLabel(report.cornerLabel || 'Hours/Days')];  // Header for the time/days table
   
-  for (var day = 1; day <= daysInMonth; day++) {
-    // Format as DD-MMM
-    var dateStr = ('0' + day).slice(-2) + '-' + monthName;
-    headerRow.push(dateStr);
+  for (var c = 0; c < numDays; c++) {
+    headerRow.push(translateLabel(columns[c].label));
   }
-  headerRow.push('Total Hours'); // Add total column
+  headerRow.push(translateLabel('Total Hours')); // Add total column
   headerRow.push(''); // Empty column (lcol1+1)
-  headerRow.push('Total Available Hours'); // Add available hours column
-  headerRow.push('% Utilization'); // Add utilization column
+  headerRow.push(translateLabel('Total Available Hours')); // Add available hours column
+  headerRow.push(translateLabel('% Utilization')); // Add utilization column
   
   // Set header row
   destSheet.getRange(tableStartRow, 1, 1, headerRow.length).setValues([headerRow]);
@@ -889,99 +1889,8 @@ function createHoursDaysTable() {
   debugLog("Building time labels");
   var timeLabels = [];
   
-  // Safety check
-  if (timeRows.length === 0) {
-    console.log("ERROR: No time rows! This should not happen.");
-    // Force some default rows
-    timeRows = [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23];
-  }
-  
-  for (var i = 0; i < timeRows.length; i++) {
-    timeLabels.push("'" + formatTimeAMPM(timeRows[i]));
-  }
-  
-  // Initialize data grid
-  var dataGrid = [];
   for (var i = 0; i < timeRows.length; i++) {
-    var row = new Array(daysInMonth).fill(0);
-    dataGrid.push(row);
-  }
-  
-  // Read and process source data - SIMPLIFIED LOGIC
-  debugLog("Reading source data from " + sourceTabName);
-  var sourceDataRange = sourceSheet.getDataRange();
-  var lastRow = sourceDataRange.getLastRow();
-  var lastCol = sourceDataRange.getLastColumn();
-  
-  if (lastRow > 0 && lastCol > 0) {
-    var sourceData = sourceDataRange.getValues();
-    var processedCount = 0;
-    
-    console.log("Processing " + (sourceData.length - 1) + " data rows");
-    
-    // Process bookings - SIMPLIFIED VERSION
-    for (var i = 1; i < sourceData.length; i++) {
-      var rowData = sourceData[i];
-      
-      var dateValue = rowData[3];  // Column D
-      var startTime = rowData[5];  // Column F
-      var hours = rowData[7];      // Column H
-      
-      // Debug first few rows
-      if (i <= 5 && DEBUG_MODE) {
-        debugLog("Row " + i + " - Date: " + dateValue + " (type: " + typeof dateValue + 
-                 "), Start: " + startTime + " (type: " + typeof startTime + 
-                 "), Hours: " + hours);
-      }
-      
-      if (dateValue && startTime && hours) {
-        // Parse the date
-        var bookingDate = new Date(dateValue);
-        var bookingDay = bookingDate.getDate();
-        var bookingMonth = bookingDate.getMonth() + 1;
-        var bookingYear = bookingDate.getFullYear();
-        
-        // Check if booking is in the target month/year
-        if (bookingMonth === monthNum && bookingYear === year) {
-          // Parse the start time to get the hour
-          var hour;
-          
-          // Handle different time formats
-          if (startTime instanceof Date) {
-            // If it's already a Date object (time only)
-            hour = startTime.getHours();
-          } else if (typeof startTime === 'number') {
-            // If it's a decimal (0.5 = 12:00 PM)
-            hour = Math.floor(startTime * 24);
-          } else {
-            // If it's a string, try parsing it
-            var timeStr = startTime.toString();
-            hour = parseHourFromTime(timeStr);
-          }
-          
-          debugLog("Parsed hour " + hour + " from start time: " + startTime);
-          
-          // Find grid position
-          var hourIndex = timeRows.indexOf(hour);
-          var dayIndex = bookingDay - 1;
-          
-          if (hourIndex >= 0 && dayIndex >= 0 && dayIndex < daysInMonth) {
-            // Simply add the hours to the grid
-            dataGrid[hourIndex][dayIndex] += hours;
-            processedCount++;
-            
-            if (processedCount <= 10 && DEBUG_MODE) {
-              debugLog("Added " + hours + " hours to " + hour + ":00 on day " + bookingDay);
-            }
-          } else {
-            debugLog("Warning: Could not place booking - hour: " + hour + ", day: " + bookingDay + 
-                     ", hourIndex: " + hourIndex + ", dayIndex: " + dayIndex);
-          }
-        }
-      }
-    }
-    
-    console.log("Processed " + processedCount + " bookings for " + monthName + " " + year);
+    timeLabels.push("'" + formatTimeOfDay(timeRows[i]));
   }
   
   // Prepare all data rows for batch writing
@@ -993,7 +1902,7 @@ function createHoursDaysTable() {
     var rowData = [timeLabels[r]];
     var rowTotal = 0;
     
-    for (var c = 0; c < daysInMonth; c++) {
+    for (var c = 0; c < numDays; c++) {
       var value = dataGrid[r][c];
       rowData.push(value === 0 ? '' : value);
       rowTotal += value;
@@ -1011,9 +1920,9 @@ function createHoursDaysTable() {
   }
   
   // Add Total Dates row
-  var totalDatesRow = ['Total Dates'];
+  var totalDatesRow = [translateLabel(report.totalRowLabel || 'Total Dates')];
   var grandTotal = 0;
-  for (var c = 0; c < daysInMonth; c++) {
+  for (var c = 0; c < numDays; c++) {
     var colTotal = 0;
     for (var r = 0; r < dataGrid.length; r++) {
       colTotal += dataGrid[r][c];
@@ -1048,7 +1957,7 @@ function createHoursDaysTable() {
   destSheet.getRange(totalRowIndex, 1, 1, totalDatesRow.length).setBorder(true, false, false, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
   
   // Format the utilization percentage in Total Dates row
-  var lcol1 = daysInMonth + 2; // Last data column (Total Hours)
+  var lcol1 = numDays + 2; // Last data column (Total Hours)
   if (totalAvailableHours > 0) {
     destSheet.getRange(totalRowIndex, lcol1 + 3).setNumberFormat('0.0%').setFontWeight('bold');
   }
@@ -1083,7 +1992,7 @@ function createHoursDaysTable() {
   
   // Format total hours column (bold, left border)
   debugLog("Formatting total hours column");
-  var totalHoursCol = daysInMonth + 2; // Column position for Total Hours
+  var totalHoursCol = numDays + 2; // Column position for Total Hours
   var totalHoursRange = destSheet.getRange(tableStartRow + 1, totalHoursCol, timeRows.length, 1);
   totalHoursRange.setFontWeight('bold');
   totalHoursRange.setBorder(false, true, false, false, false, false, 'black', SpreadsheetApp.BorderStyle.DOTTED);
@@ -1094,12 +2003,12 @@ function createHoursDaysTable() {
   // Collect cells that need special formatting
   var closedCells = [];
   var maxCapacityCells = [];
+  var overCapacityCells = [];
   
   for (var r = 0; r < timeRows.length; r++) {
-    var hour = timeRows[r];
     var currentRowNum = tableStartRow + 1 + r;
     
-    for (var d = 1; d <= daysInMonth; d++) {
+    for (var d = 1; d <= numDays; d++) {
       var cellRef = destSheet.getRange(currentRowNum, d + 1);
       
       // Get available hours for this slot
@@ -1115,6 +2024,11 @@ function createHoursDaysTable() {
       if (cellValue && availableHours > 0 && cellValue === availableHours) {
         maxCapacityCells.push(cellRef);
       }
+      
+      // Check if booked beyond capacity (including bookings while closed)
+      if (cellValue > availableHours + 0.001) {
+        overCapacityCells.push(cellRef);
+      }
     }
   }
   
@@ -1134,6 +2048,13 @@ function createHoursDaysTable() {
     }
   }
   
+  // Apply over capacity formatting
+  for (var i = 0; i < overCapacityCells.length; i++) {
+    overCapacityCells[i].setBackground('#F32C1E');
+    overCapacityCells[i].setFontWeight('bold');
+    overCapacityCells[i].setFontColor('#FFFFFF');
+  }
+  
   debugLog("Last column (lcol1) is: " + lcol1);
   
   // Set width of column lcol1+1
@@ -1147,7 +2068,7 @@ function createHoursDaysTable() {
   for (var r = 0; r < timeRows.length; r++) {
     // Calculate total available hours for this time slot
     var totalAvailable = 0;
-    for (var d = 0; d < daysInMonth; d++) {
+    for (var d = 0; d < numDays; d++) {
       totalAvailable += availableGrid[r][d];
     }
     
@@ -1187,20 +2108,55 @@ function createHoursDaysTable() {
   // Find last row
   var lastDataRow = totalRowIndex;
   
+  // Add per-column available hours and utilization rows if requested
+  if (report.columnUtilization) {
+    var columnAvailableRow = [translateLabel('Available Hours')];
+    var columnUtilizationRow = [translateLabel('% Utilization')];
+    
+    for (var c = 0; c < numDays; c++) {
+      var columnAvailable = 0;
+      var columnBooked = 0;
+      for (var r = 0; r < timeRows.length; r++) {
+        columnAvailable += availableGrid[r][c];
+        columnBooked += dataGrid[r][c];
+      }
+      columnAvailableRow.push(columnAvailable);
+      columnUtilizationRow.push(columnAvailable > 0 ? columnBooked / columnAvailable : '');
+    }
+    columnAvailableRow.push(totalAvailableHours);
+    columnUtilizationRow.push(totalAvailableHours > 0 ? grandTotal / totalAvailableHours : '');
+    
+    destSheet.getRange(totalRowIndex + 1, 1, 2, numDays + 2)
+      .setValues([columnAvailableRow, columnUtilizationRow])
+      .setFontWeight('bold');
+    destSheet.getRange(totalRowIndex + 2, 2, 1, numDays + 1).setNumberFormat('0.0%');
+    lastDataRow = totalRowIndex + 2;
+  }
+  
   // Add summary section using batch operations
   var summaryStartRow = lastDataRow + 3;
   
   var summaryData = [
-    ['Total Days', grandTotal],
-    ['Total Hours', grandTotal],
-    ['Table Sum Status', 'OK'],
-    ['Booked Hours', Math.abs(grandTotal - e2Total) < 0.01 ? 'OK' : 'Check Sum']
+    [translateLabel('Total Days'), grandTotal],
+    [translateLabel('Total Hours'), grandTotal],
+    [translateLabel('Table Sum Status'), translateLabel('OK')],
+    [translateLabel('Booked Hours'), translateLabel(Math.abs(grandTotal - e2Total) < 0.01 ? 'OK' : 'Check Sum')]
   ];
   
+  // Explain the Booked Hours check with the split hours that could not be placed in the grid
+  var unplacedHours = 0;
+  if (report.unplacedBookings) {
+    for (var i = 0; i < report.unplacedBookings.length; i++) {
+      unplacedHours += report.unplacedBookings[i].hours || 0;
+    }
+    summaryData.push([translateLabel('Unplaced Hours'), unplacedHours]);
+  }
+  var utilizationRowOffset = summaryData.length;
+  
   // Add overall utilization if there are available hours
   if (totalAvailableHours > 0) {
     var overallUtilization = grandTotal / totalAvailableHours;
-    summaryData.push(['Overall Utilization', overallUtilization]);
+    summaryData.push([translateLabel('Overall Utilization'), overallUtilization]);
   }
   
   destSheet.getRange(summaryStartRow, 1, summaryData.length, 2).setValues(summaryData);
@@ -1214,17 +2170,3960 @@ function createHoursDaysTable() {
     destSheet.getRange(summaryStartRow + 3, 2).setFontWeight('bold').setFontColor('#F32C1E');
   }
   
+  if (report.unplacedBookings) {
+    destSheet.getRange(summaryStartRow + 4, 2).setFontWeight('bold')
+      .setFontColor(unplacedHours > 0 ? '#F32C1E' : '#328332');
+  }
+  
   // Format overall utilization percentage if added
   if (totalAvailableHours > 0) {
-    destSheet.getRange(summaryStartRow + 4, 2).setNumberFormat('0.0%').setFontWeight('bold');
+    destSheet.getRange(summaryStartRow + utilizationRowOffset, 2).setNumberFormat('0.0%').setFontWeight('bold');
   }
   
-  console.log("Completed createHoursDaysTable function");
   debugLog("Grand total: " + grandTotal + ", Source total: " + e2Total);
   
   // Auto-resize the new columns to fit headers
   destSheet.autoResizeColumn(lcol1 + 2); // Total Available Hours
   destSheet.autoResizeColumn(lcol1 + 3); // % Utilization
   
-  ui.alert('Success', 'Hours-Days table created successfully in tab: ' + destTabName, ui.ButtonSet.OK);
+  var listStartRow = summaryStartRow + summaryData.length + 2;
+  
+  // List the over capacity and closed-hour slots with their booking rows
+  if (report.capacityConflicts) {
+    var conflicts = report.capacityConflicts;
+    var conflictRows = [];
+    
+    for (var i = 0; i < conflicts.length; i++) {
+      var bookingRefs = [];
+      for (var b = 0; b < conflicts[i].bookings.length; b++) {
+        var booking = conflicts[i].bookings[b];
+        bookingRefs.push(formatLabel('{0} row {1} ({2}h)', [booking.tabName, booking.rowNumber, booking.hours]));
+      }
+      conflictRows.push([translateLabel(conflicts[i].label), "'" + formatTimeOfDay(conflicts[i].hour), conflicts[i].booked,
+                         conflicts[i].available, translateLabel(conflicts[i].issue), bookingRefs.join(', ')]);
+    }
+    
+    var conflictStartRow = listStartRow;
+    listStartRow = writeReportListSection(destSheet, conflictStartRow, 'Capacity Conflicts',
+      ['Date', 'Hour', 'Booked Hours', 'Available Hours', 'Issue', 'Booking Rows'], conflictRows);
+    if (conflictRows.length > 0) {
+      destSheet.getRange(conflictStartRow + 2, 5, conflictRows.length, 1).setFontWeight('bold').setFontColor('#F32C1E');
+    }
+  }
+  
+  // List the split rows that could not be placed in the grid
+  if (report.unplacedBookings) {
+    var unplacedRows = [];
+    for (var i = 0; i < report.unplacedBookings.length; i++) {
+      var unplaced = report.unplacedBookings[i];
+      unplacedRows.push([unplaced.tabName, unplaced.rowNumber, unplaced.date,
+                         unplaced.start instanceof Date || unplaced.start === '' ? unplaced.start : "'" + unplaced.start,
+                         unplaced.hours === null ? '' : unplaced.hours, translateLabel(unplaced.reason)]);
+    }
+    
+    var unplacedStartRow = listStartRow;
+    listStartRow = writeReportListSection(destSheet, unplacedStartRow, 'Unplaced Bookings',
+      ['Tab', 'Row', 'Date', 'Start', 'Hours', 'Reason'], unplacedRows);
+    if (unplacedRows.length > 0) {
+      destSheet.getRange(unplacedStartRow + 2, 3, unplacedRows.length, 1).setNumberFormat('dd-mmm-yy');
+    }
+  }
+  
+  logReportRun(report.auditAction || 'Report', report);
+  return destSheet;
+}
+
+/**
+ * Writes a titled list below a report's summary section
+ * @param {Sheet} sheet - The report sheet
+ * @param {number} startRow - Row of the list heading
+ * @param {string} heading - List heading
+ * @param {Array} headerRow - Column headers
+ * @param {Array} rows - List rows (same width as headerRow); "None" is written when empty
+ * @return {number} First row free for the next list
+ */
+function writeReportListSection(sheet, startRow, heading, headerRow, rows) {
+  if (rows.length === 0) {
+    var emptyRow = [translateLabel('None')];
+    for (var c = 1; c < headerRow.length; c++) {
+      emptyRow.push('');
+    }
+    rows = [emptyRow];
+  }
+  
+  var listRange = sheet.getRange(startRow, 1, rows.length + 2, headerRow.length);
+  listRange.setFontFamily('Verdana');
+  listRange.setFontSize(10);
+  listRange.setBackground('#cbc9a2');
+  
+  sheet.getRange(startRow, 1).setValue(translateLabel(heading)).setFontWeight('bold');
+  sheet.getRange(startRow + 1, 1, 1, headerRow.length).setValues([translateLabels(headerRow)])
+    .setFontWeight('bold')
+    .setBorder(false, false, true, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
+  sheet.getRange(startRow + 2, 1, rows.length, headerRow.length).setValues(rows);
+  
+  return startRow + rows.length + 3;
+}
+
+/**
+ * Finds the report slots booked beyond their available hours
+ * A slot with no available hours (club closed) that has bookings is a conflict too.
+ * @param {Object} report - Report data (see writeHoursDaysReport), optionally with
+ *   cellBookings from aggregateSplitBookings
+ * @return {Array} [{label, hour, booked, available, issue, bookings: [{tabName, rowNumber, hours}]}]
+ */
+function findCapacityConflicts(report) {
+  var conflicts = [];
+  var cellBookings = report.cellBookings || {};
+  
+  for (var c = 0; c < report.columns.length; c++) {
+    for (var r = 0; r < report.timeRows.length; r++) {
+      var booked = report.dataGrid[r][c];
+      var available = report.availableGrid[r][c];
+      if (booked <= available + 0.001) {
+        continue;
+      }
+      
+      conflicts.push({
+        label: report.columns[c].label,
+        hour: report.timeRows[r],
+        booked: booked,
+        available: available,
+        issue: available === 0 ? 'Booked while closed' : 'Over capacity',
+        bookings: cellBookings[r + ',' + c] || []
+      });
+    }
+  }
+  
+  debugLog("Found " + conflicts.length + " capacity conflicts");
+  return conflicts;
+}
+
+/**
+ * createHoursDaysTable Function
+ *
+ * Creates a cross-tabulation table showing booking patterns with integrated
+ * availability calculation. Reads pre-split hourly data from e_2 tabs.
+ * From the menu it opens the Month Hours sidebar to pick the month, booking
+ * type and options. Script callers pass the parameters instead and get the
+ * result back without any dialogs, e.g. createHoursDaysTable({month: 5, year: 2025}).
+ * @param {Object|string} params - Optional. Report parameters, see runHoursDaysTable
+ * @return {Object|undefined} Report result from runHoursDaysTable when params are given
+ */
+function createHoursDaysTable(params) {
+  console.log("Starting createHoursDaysTable function");
+  
+  if (!params) {
+    showMonthHoursSidebar('report');
+    return;
+  }
+  
+  return runHoursDaysTable(params);
+}
+
+/**
+ * Headless core of createHoursDaysTable - never opens a dialog
+ * @param {Object|string} params - Month (see resolveMonthParams), plus optional
+ *   bookingType ('e' default, 'i', 'na', or 'all' for the combined report of every type
+ *   with a split tab) and options:
+ *   {destTabName (checked by validateDestTabName; defaults to getDefaultReportTabName),
+ *   slotMinutes (60, 30 or 15, defaults to SLOT_MINUTES),
+ *   proportional (read F/G from the primary tab instead of the split tab),
+ *   validateFirst (skip the report when the totals do not match; not used in proportional mode)}
+ * @return {Object} {success, skipped, error, monthDigits, month, year, bookingType,
+ *   destTabName, primaryTabFound, primaryTotal, splitTotal, totalsMatch, processedCount, capacityConflicts,
+ *   unplacedCount, validation}; the combined report adds bookingTypes and typeTotals
+ */
+function runHoursDaysTable(params) {
+  var monthParams = resolveMonthParams(params);
+  var bookingType = (params && params.bookingType) || 'e';
+  var options = (params && params.options) || {};
+  
+  if (['e', 'i', 'na', 'all'].indexOf(bookingType) < 0) {
+    throw new Error('Unknown booking type: ' + bookingType);
+  }
+  var destTabName = options.destTabName;
+  if (destTabName !== undefined && destTabName !== null) {
+    destTabName = validateDestTabName(destTabName);
+  }
+  
+  // The combined report covers every type that has a source tab
+  var reportTypes = bookingType === 'all' ?
+    findMonthBookingTypes(monthParams.monthDigits, options.proportional ? '' : '_2') : [bookingType];
+    
+  var result = {
+    success: false,
+    skipped: false,
+    error: null,
+    monthDigits: monthParams.monthDigits,
+    month: monthParams.month,
+    year: monthParams.year,
+    bookingType: bookingType,
+    validation: null
+  };
+  
+  if (options.validateFirst && !options.proportional) {
+    result.validation = validateMonthTabs(monthParams.monthDigits, reportTypes);
+    if (!result.validation.allValid) {
+      result.skipped = true;
+      result.error = 'Validation failed: ' + result.validation.results.join('; ');
+      console.log("Report skipped for " + monthParams.monthDigits + ": " + result.error);
+    }
+  }
+  
+  if (!result.skipped) {
+    try {
+      var reportOptions = { bookingType: bookingType, bookingTypes: reportTypes, destTabName: destTabName,
+                            slotMinutes: options.slotMinutes, proportional: !!options.proportional };
+      var reportResult = bookingType === 'all' ?
+        generateCombinedHoursReport(monthParams.monthDigits, reportOptions) :
+        generateHoursDaysReport(monthParams.monthDigits, reportOptions);
+      for (var key in reportResult) {
+        result[key] = reportResult[key];
+      }
+      result.success = true;
+    } catch (e) {
+      console.log("Report failed for " + monthParams.monthDigits + ": " + e.message);
+      result.error = e.message;
+    }
+  }
+  
+  // Created reports are audited by writeHoursDaysReport; record the runs that wrote nothing
+  if (!result.success) {
+    appendAuditLog({
+      monthDigits: monthParams.monthDigits,
+      action: bookingType === 'all' ? 'Combined Report' : 'Report',
+      bookingTypes: reportTypes,
+      tabData: result.validation ? result.validation.tabData : {},
+      result: (result.skipped ? 'Skipped: ' : 'Failed: ') + result.error,
+      tabName: ''
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Builds the hours/days report for one month without any dialogs
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Object} options - Optional. {bookingType: 'e'|'i'|'na', destTabName, slotMinutes, proportional}
+ * @return {Object} Report result {monthDigits, destTabName, primaryTabFound, primaryTotal, splitTotal, totalsMatch,
+ *   processedCount, capacityConflicts (number of over-capacity or closed-hour slots),
+ *   unplacedCount (number of split rows that could not be placed in the grid)}
+ * @throws {Error} If the month's source tab does not exist
+ */
+function generateHoursDaysReport(monthDigits, options) {
+  options = options || {};
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var bookingType = options.bookingType || 'e';
+  var reportData = buildMonthReportData(monthDigits, bookingType, options);
+  
+  reportData.destTabName = options.destTabName || getDefaultReportTabName(reportData.title, bookingType);
+  reportData.capacityConflicts = findCapacityConflicts(reportData);
+  writeHoursDaysReport(spreadsheet, reportData);
+  
+  return {
+    monthDigits: monthDigits,
+    destTabName: reportData.destTabName,
+    primaryTabFound: reportData.primaryTabFound,
+    primaryTotal: reportData.primaryTotal,
+    splitTotal: reportData.splitTotal,
+    totalsMatch: Math.abs(reportData.primaryTotal - reportData.splitTotal) <= 0.01,
+    processedCount: reportData.processedCount,
+    capacityConflicts: reportData.capacityConflicts.length,
+    unplacedCount: reportData.unplacedBookings.length
+  };
+}
+
+/**
+ * Aggregates one month's split bookings and availability into report data
+ * Shared by the monthly, rollup and comparison reports.
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {string} bookingType - Optional. 'e' (default), 'i' or 'na'
+ * @param {Object} options - Optional. {slotMinutes (defaults to SLOT_MINUTES), proportional (split
+ *   the primary tab's F-G times in memory instead of reading the _2 tab)}
+ * @return {Object} Report data accepted by writeHoursDaysReport, plus monthNum, year,
+ *   primaryTabFound, processedCount, cellBookings and unplacedBookings (see aggregateSplitBookings)
+ * @throws {Error} If the month's source tab does not exist
+ */
+function buildMonthReportData(monthDigits, bookingType, options) {
+  bookingType = bookingType || 'e';
+  options = options || {};
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Parse month and year from 4 digits (MMYY format)
+  var monthNum = parseInt(monthDigits.substring(0, 2));
+  var year = parseInt('20' + monthDigits.substring(2, 4));
+  debugLog("Parsed month: " + monthNum + ", year: " + year);
+  
+  // Convert month number to month name
+  var monthName = MONTH_NAMES[monthNum - 1];
+  var yearShort = year.toString().substring(2);
+  
+  // Get club info from cache
+  var clubInfo = getClubInfo();
+  var clubName = clubInfo.clubName;
+  var maxHoursPerHour = clubInfo.maxHoursPerHour;
+  
+  debugLog("Club name: " + clubName);
+  debugLog("Max hours per hour: " + maxHoursPerHour);
+  
+  // Calculate available hours for the month
+  debugLog("=== STARTING CALCULATEAVAILABLEHOURS ===");
+  var availabilityData = calculateAvailableHours(monthNum, year, options.slotMinutes);
+  debugLog("=== RETURNED FROM CALCULATEAVAILABLEHOURS ===");
+  debugLog("availabilityData keys: " + Object.keys(availabilityData).join(", "));
+  
+  var availableGrid = availabilityData.availableGrid;
+  var timeRows = availabilityData.timeRows;
+  var daysInMonth = availabilityData.daysInMonth;
+  var dayOpeningHours = availabilityData.dayOpeningHours;
+  var earliestHour = availabilityData.earliestHour;
+  var latestHour = availabilityData.latestHour;
+  
+  debugLog("=== DATA RECEIVED IN CREATEHOURSDAYSTABLE ===");
+  debugLog("- dayOpeningHours: " + JSON.stringify(dayOpeningHours));
+  debugLog("- dayOpeningHours keys: " + Object.keys(dayOpeningHours).join(", "));
+  debugLog("- earliestHour: " + earliestHour);
+  debugLog("- latestHour: " + latestHour);
+  debugLog("- timeRows: " + timeRows.join(", "));
+  
+  console.log("Available hours grid created");
+  debugLog("Time rows: " + timeRows.length + " from hour " + earliestHour + " to " + (latestHour - 1));
+  
+  if (options.proportional) {
+    return buildProportionalReportData(monthDigits, bookingType, availabilityData, monthName + '-' + yearShort);
+  }
+  
+  // Get source tabs
+  var sourceTabName = monthDigits + bookingType + '_2';
+  var sourceSheet = spreadsheet.getSheetByName(sourceTabName);
+  
+  if (!sourceSheet) {
+    console.log("Source tab not found: " + sourceTabName);
+    throw new Error('Source tab ' + sourceTabName + ' not found.');
+  }
+  debugLog("Found source tab: " + sourceTabName);
+  
+  // Get primary tab for validation
+  var eTabName = monthDigits + bookingType;
+  var eSheet = spreadsheet.getSheetByName(eTabName);
+  
+  // One column per day of the month
+  var columns = buildDateColumns(new Date(year, monthNum - 1, 1), new Date(year, monthNum - 1, daysInMonth));
+  var dataGrid = createEmptyGrid(timeRows.length, daysInMonth);
+  
+  // Read and process source data
+  debugLog("Reading source data from " + sourceTabName);
+  var placement = { sourceTabName: sourceTabName, cellBookings: {}, unplaced: [] };
+  var totals = aggregateReportTabs(spreadsheet, [monthDigits], bookingType,
+                                   { timeRows: timeRows, columns: columns, dataGrid: dataGrid,
+                                     slotMinutes: availabilityData.slotMinutes }, placement);
+  var eTotal = totals.primaryTotal;
+  var e2Total = totals.splitTotal;
+  var processedCount = totals.processedCount;
+  console.log("Processed " + processedCount + " bookings for " + monthName + " " + year);
+  
+  return {
+    monthDigits: monthDigits,
+    monthNum: monthNum,
+    year: year,
+    title: monthName + '-' + yearShort,
+    columns: columns,
+    timeRows: timeRows,
+    dataGrid: dataGrid,
+    availableGrid: availableGrid,
+    dayOpeningHours: dayOpeningHours,
+    maxHoursPerHour: maxHoursPerHour,
+    slotMinutes: availabilityData.slotMinutes,
+    primaryTabFound: !!eSheet,
+    bookingType: bookingType,
+    primaryLabel: 'Total ' + bookingType.toUpperCase() + ' Hours',
+    primaryTotal: eTotal,
+    splitTotal: e2Total,
+    processedCount: processedCount,
+    cellBookings: placement.cellBookings,
+    unplacedBookings: placement.unplaced
+  };
+}
+
+/**
+ * createHoursDaysRangeTable Function
+ *
+ * Creates the hours/days report for an arbitrary date range (e.g. 15 Mar - 14 Apr).
+ * Reads every [MMYY]e_2 tab (or i_2 / na_2 when the booking type follows the
+ * range) the range touches and builds the availability grid across month boundaries.
+ * With a business day cutoff the tab of the month after the range is read too,
+ * since the after-midnight rows of the last day are dated the next day.
+ */
+function createHoursDaysRangeTable() {
+  console.log("Starting createHoursDaysRangeTable function");
+  
+  // Get UI instance
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Prompt for date range
+  var response = ui.prompt('Create Hours-Days Range Table',
+                           'Please enter a date range (DD/MM/YYYY - DD/MM/YYYY), optionally followed by the booking type (e, i or na):',
+                           ui.ButtonSet.OK_CANCEL);
+                           
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var rangeText = response.getResponseText();
+  debugLog("User input: " + rangeText);
+  
+  var typeMatch = rangeText.trim().match(/\s(e|i|na)$/i);
+  var bookingType = typeMatch ? typeMatch[1].toLowerCase() : 'e';
+  
+  var dateRange = parseDateRangeInput(rangeText);
+  if (!dateRange) {
+    ui.alert('Invalid Input', 'Please enter two valid dates as DD/MM/YYYY - DD/MM/YYYY, with the start date first.', ui.ButtonSet.OK);
+    console.log("Invalid input: not a date range");
+    return;
+  }
+  
+  // Get club info from cache
+  var clubInfo = getClubInfo();
+  var maxHoursPerHour = clubInfo.maxHoursPerHour;
+  
+  // Calculate available hours across the range
+  var availabilityData = calculateAvailableHoursForRange(dateRange.startDate, dateRange.endDate);
+  var columns = availabilityData.columns;
+  var timeRows = availabilityData.timeRows;
+  debugLog("Range covers " + columns.length + " days");
+  
+  // Collect the MMYY of every month the range touches
+  var monthDigitsList = [];
+  for (var c = 0; c < columns.length; c++) {
+    var monthDigits = ('0' + columns[c].monthNum).slice(-2) + columns[c].year.toString().substring(2);
+    if (monthDigitsList.indexOf(monthDigits) < 0) {
+      monthDigitsList.push(monthDigits);
+    }
+  }
+  
+  // Make sure every source tab exists before building anything
+  var missingTabs = [];
+  for (var m = 0; m < monthDigitsList.length; m++) {
+    if (!spreadsheet.getSheetByName(monthDigitsList[m] + bookingType + '_2')) {
+      missingTabs.push(monthDigitsList[m] + bookingType + '_2');
+    }
+  }
+  
+  if (missingTabs.length > 0) {
+    console.log("Source tabs not found: " + missingTabs.join(", "));
+    ui.alert('Error', 'Source tab(s) ' + missingTabs.join(', ') + ' not found.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  // Aggregate bookings and totals from each month's tabs
+  var dataGrid = createEmptyGrid(timeRows.length, columns.length);
+  var placement = { sourceTabName: null, cellBookings: {}, unplaced: [], ignoreOutsideDates: true };
+  var totals = aggregateReportTabs(spreadsheet, monthDigitsList, bookingType,
+                                   { timeRows: timeRows, columns: columns, dataGrid: dataGrid,
+                                     slotMinutes: availabilityData.slotMinutes }, placement);
+                                     
+  var firstColumn = columns[0];
+  var lastColumn = columns[columns.length - 1];
+  var rangeTitle = firstColumn.label + '-' + firstColumn.year.toString().substring(2) + ' to ' +
+                   lastColumn.label + '-' + lastColumn.year.toString().substring(2);
+  var destTabName = getDefaultReportTabName(rangeTitle, bookingType);
+  
+  var rangeReport = {
+    destTabName: destTabName,
+    title: rangeTitle,
+    columns: columns,
+    timeRows: timeRows,
+    dataGrid: dataGrid,
+    availableGrid: availabilityData.availableGrid,
+    dayOpeningHours: availabilityData.dayOpeningHours,
+    maxHoursPerHour: maxHoursPerHour,
+    slotMinutes: availabilityData.slotMinutes,
+    bookingType: bookingType,
+    primaryLabel: 'Total ' + bookingType.toUpperCase() + ' Hours',
+    primaryTotal: totals.primaryTotal,
+    splitTotal: totals.splitTotal,
+    cellBookings: placement.cellBookings,
+    unplacedBookings: placement.unplaced,
+    auditAction: 'Range Report'
+  };
+  rangeReport.capacityConflicts = findCapacityConflicts(rangeReport);
+  writeHoursDaysReport(spreadsheet, rangeReport);
+  
+  console.log("Completed createHoursDaysRangeTable function");
+  
+  ui.alert('Success', 'Hours-Days range table created successfully in tab: ' + destTabName, ui.ButtonSet.OK);
+}
+
+/**
+ * Checks that a string is a valid MMYY month (01-12)
+ * @param {string} monthDigits - Candidate month in MMYY format
+ * @return {boolean} True if the month is valid
+ */
+function isValidMonthDigits(monthDigits) {
+  if (!/^\d{4}$/.test(monthDigits)) {
+    return false;
+  }
+  var monthNum = parseInt(monthDigits.substring(0, 2), 10);
+  return monthNum >= 1 && monthNum <= 12;
+}
+
+/**
+ * Converts an MMYY month to a sequential month index for sorting and ranges
+ * @param {string} monthDigits - Month in MMYY format
+ * @return {number} Months since January 2000
+ */
+function monthDigitsToIndex(monthDigits) {
+  return parseInt(monthDigits.substring(2, 4), 10) * 12 + parseInt(monthDigits.substring(0, 2), 10) - 1;
+}
+
+/**
+ * Converts a sequential month index back to MMYY
+ * @param {number} monthIndex - Months since January 2000
+ * @return {string} Month in MMYY format
+ */
+function monthIndexToDigits(monthIndex) {
+  var monthNum = (monthIndex % 12) + 1;
+  var yearShort = Math.floor(monthIndex / 12);
+  return ('0' + monthNum).slice(-2) + ('0' + yearShort).slice(-2);
+}
+
+/**
+ * Finds every month that has a tab with the given suffix (e.g. "e_2")
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {string} suffix - Tab suffix after the MMYY digits
+ * @return {Array} MMYY strings in chronological order
+ */
+function findMonthsWithTab(spreadsheet, suffix) {
+  var pattern = new RegExp('^(\\d{4})' + suffix + '$');
+  var sheets = spreadsheet.getSheets();
+  var months = [];
+  
+  for (var i = 0; i < sheets.length; i++) {
+    var match = sheets[i].getName().match(pattern);
+    if (match && isValidMonthDigits(match[1]) && months.indexOf(match[1]) < 0) {
+      months.push(match[1]);
+    }
+  }
+  
+  months.sort(function(a, b) { return monthDigitsToIndex(a) - monthDigitsToIndex(b); });
+  debugLog("Months with " + suffix + " tab: " + months.join(", "));
+  return months;
+}
+
+/**
+ * Parses a list of months typed by the user
+ * Accepts "all", single months ("0125"), ranges ("0125-1225") or any
+ * comma/space separated mix of them.
+ * @param {string} text - User input
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet (used for "all")
+ * @return {Array|null} MMYY strings in chronological order, or null if the input is invalid
+ */
+function parseMonthListInput(text, spreadsheet) {
+  var input = text.toString().trim();
+  
+  if (input.toLowerCase() === 'all') {
+    return findMonthsWithTab(spreadsheet, 'e_2');
+  }
+  
+  var tokens = input.split(/[\s,;]+/);
+  var months = [];
+  
+  for (var i = 0; i < tokens.length; i++) {
+    if (!tokens[i]) continue;
+    
+    var rangeMatch = tokens[i].match(/^(\d{4})-(\d{4})$/);
+    if (rangeMatch) {
+      if (!isValidMonthDigits(rangeMatch[1]) || !isValidMonthDigits(rangeMatch[2])) {
+        return null;
+      }
+      var fromIndex = monthDigitsToIndex(rangeMatch[1]);
+      var toIndex = monthDigitsToIndex(rangeMatch[2]);
+      if (fromIndex > toIndex) {
+        return null;
+      }
+      for (var m = fromIndex; m <= toIndex; m++) {
+        months.push(monthIndexToDigits(m));
+      }
+    } else if (isValidMonthDigits(tokens[i])) {
+      months.push(tokens[i]);
+    } else {
+      return null;
+    }
+  }
+  
+  // Remove duplicates and sort chronologically
+  var uniqueMonths = [];
+  for (var i = 0; i < months.length; i++) {
+    if (uniqueMonths.indexOf(months[i]) < 0) {
+      uniqueMonths.push(months[i]);
+    }
+  }
+  uniqueMonths.sort(function(a, b) { return monthDigitsToIndex(a) - monthDigitsToIndex(b); });
+  
+  return uniqueMonths.length > 0 ? uniqueMonths : null;
+}
+
+/**
+ * createHoursDaysTablesBatch Function
+ *
+ * Generates the Mon-YY DH tab for many months in one run and finishes with a
+ * single summary of succeeded months, missing tabs and e vs e_2 mismatches.
+ */
+function createHoursDaysTablesBatch() {
+  console.log("Starting createHoursDaysTablesBatch function");
+  
+  // Get UI instance
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Prompt for months
+  var response = ui.prompt('Create Hours-Days Tables (Batch)',
+    'Please enter months as MMYY, separated by commas, a range (e.g. 0125-1225) or "all":',
+    ui.ButtonSet.OK_CANCEL);
+    
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var monthList = parseMonthListInput(response.getResponseText(), spreadsheet);
+  if (!monthList) {
+    ui.alert('Invalid Input', 'Please enter valid MMYY months, a range such as 0125-1225, or "all".', ui.ButtonSet.OK);
+    console.log("Invalid input: not a month list");
+    return;
+  }
+  console.log("Batch months: " + monthList.join(", "));
+  
+  var succeeded = [];
+  var missingTabs = [];
+  var mismatches = [];
+  var failed = [];
+  
+  for (var i = 0; i < monthList.length; i++) {
+    var monthDigits = monthList[i];
+    
+    // Skip months without a split tab instead of stopping the whole batch
+    if (!spreadsheet.getSheetByName(monthDigits + 'e_2')) {
+      missingTabs.push(monthDigits + 'e_2 (skipped)');
+      continue;
+    }
+    
+    try {
+      var result = generateHoursDaysReport(monthDigits);
+      succeeded.push(result.destTabName);
+      
+      if (!result.primaryTabFound) {
+        missingTabs.push(monthDigits + 'e (no E total)');
+      } else if (!result.totalsMatch) {
+        mismatches.push(monthDigits + ': ' + result.primaryTotal + ' vs ' + result.splitTotal);
+      }
+    } catch (e) {
+      console.log("Report failed for " + monthDigits + ": " + e.message);
+      failed.push(monthDigits + ': ' + e.message);
+    }
+  }
+  
+  // Display single summary
+  var summary = [
+    "Succeeded (" + succeeded.length + "): " + (succeeded.length > 0 ? succeeded.join(", ") : "none"),
+    "Missing tabs (" + missingTabs.length + "): " + (missingTabs.length > 0 ? missingTabs.join(", ") : "none"),
+    "E vs E_2 mismatches (" + mismatches.length + "): " + (mismatches.length > 0 ? mismatches.join(", ") : "none")
+  ];
+  if (failed.length > 0) {
+    summary.push("Failed (" + failed.length + "): " + failed.join(", "));
+  }
+  
+  console.log("Completed createHoursDaysTablesBatch function");
+  
+  ui.alert('Batch Results', "Results for " + monthList.length + " month(s):\n\n" + summary.join("\n\n"), ui.ButtonSet.OK);
+}
+
+/**
+ * Parses the period for a rollup report
+ * Accepts a quarter ("Q1 2025", "Q1-25"), a year ("2025") or any month list
+ * understood by parseMonthListInput.
+ * @param {string} text - User input
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet (used for "all")
+ * @return {Object|null} {months, label} or null if the input is invalid
+ */
+function parseRollupPeriodInput(text, spreadsheet) {
+  var input = text.toString().trim();
+  
+  // Quarter, e.g. "Q1 2025" or "Q1-25"
+  var quarterMatch = input.match(/^Q([1-4])[\s\-\/]*(\d{2}|\d{4})$/i);
+  if (quarterMatch) {
+    var quarter = parseInt(quarterMatch[1], 10);
+    var quarterYear = quarterMatch[2].slice(-2);
+    var quarterMonths = [];
+    for (var m = (quarter - 1) * 3 + 1; m <= quarter * 3; m++) {
+      quarterMonths.push(('0' + m).slice(-2) + quarterYear);
+    }
+    return { months: quarterMonths, label: 'Q' + quarter + '-' + quarterYear };
+  }
+  
+  // Full year, e.g. "2025"
+  if (/^20\d{2}$/.test(input)) {
+    var yearMonths = [];
+    for (var m = 1; m <= 12; m++) {
+      yearMonths.push(('0' + m).slice(-2) + input.substring(2));
+    }
+    return { months: yearMonths, label: input };
+  }
+  
+  var months = parseMonthListInput(input, spreadsheet);
+  if (!months) {
+    return null;
+  }
+  
+  var first = months[0];
+  var last = months[months.length - 1];
+  var label = MONTH_NAMES[parseInt(first.substring(0, 2), 10) - 1] + '-' + first.substring(2);
+  if (last !== first) {
+    label += ' to ' + MONTH_NAMES[parseInt(last.substring(0, 2), 10) - 1] + '-' + last.substring(2);
+  }
+  
+  return { months: months, label: label };
+}
+
+/**
+ * createRollupReport Function
+ *
+ * Creates a quarterly/annual rollup utilization report. Aggregates per-hour
+ * booked hours and calculateAvailableHours capacity across several months
+ * into an Hours x Months table.
+ */
+function createRollupReport() {
+  console.log("Starting createRollupReport function");
+  
+  // Get UI instance
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Prompt for period
+  var response = ui.prompt('Create Rollup Report',
+    'Please enter a quarter (e.g. Q1 2025), a year (e.g. 2025) or months (e.g. 0125-0625):',
+    ui.ButtonSet.OK_CANCEL);
+    
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var period = parseRollupPeriodInput(response.getResponseText(), spreadsheet);
+  if (!period) {
+    ui.alert('Invalid Input', 'Please enter a quarter such as Q1 2025, a year such as 2025, or MMYY months.', ui.ButtonSet.OK);
+    console.log("Invalid input: not a rollup period");
+    return;
+  }
+  console.log("Rollup period " + period.label + ": " + period.months.join(", "));
+  
+  var columns = [];
+  var monthDataList = [];
+  var missingMonths = [];
+  
+  for (var m = 0; m < period.months.length; m++) {
+    var monthDigits = period.months[m];
+    
+    // Months without a split tab are left out of the rollup
+    if (!spreadsheet.getSheetByName(monthDigits + 'e_2')) {
+      missingMonths.push(monthDigits);
+      continue;
+    }
+    
+    var monthData = buildMonthReportData(monthDigits);
+    monthDataList.push(monthData);
+    columns.push({
+      monthNum: monthData.monthNum,
+      year: monthData.year,
+      key: monthDigits,
+      label: MONTH_NAMES[monthData.monthNum - 1] + '-' + monthDigits.substring(2)
+    });
+  }
+  
+  if (monthDataList.length === 0) {
+    ui.alert('Error', 'No e_2 tabs found for ' + period.label + '.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  // Collapse each month's day columns into a single month column
+  var timeRows = monthDataList[0].timeRows;
+  var dataGrid = createEmptyGrid(timeRows.length, columns.length);
+  var availableGrid = createEmptyGrid(timeRows.length, columns.length);
+  var eTotal = 0;
+  var e2Total = 0;
+  
+  for (var c = 0; c < monthDataList.length; c++) {
+    var monthData = monthDataList[c];
+    
+    for (var r = 0; r < timeRows.length; r++) {
+      for (var d = 0; d < monthData.columns.length; d++) {
+        dataGrid[r][c] += monthData.dataGrid[r][d];
+        availableGrid[r][c] += monthData.availableGrid[r][d];
+      }
+    }
+    
+    eTotal += monthData.primaryTotal;
+    e2Total += monthData.splitTotal;
+  }
+  
+  var destTabName = formatLabel('{0} Rollup', [period.label]);
+  writeHoursDaysReport(spreadsheet, {
+    destTabName: destTabName,
+    title: period.label,
+    columns: columns,
+    timeRows: timeRows,
+    dataGrid: dataGrid,
+    availableGrid: availableGrid,
+    dayOpeningHours: monthDataList[0].dayOpeningHours,
+    maxHoursPerHour: monthDataList[0].maxHoursPerHour,
+    slotMinutes: monthDataList[0].slotMinutes,
+    primaryTotal: eTotal,
+    splitTotal: e2Total,
+    cornerLabel: 'Hours/Months',
+    totalRowLabel: 'Total Months',
+    columnUtilization: true,
+    auditAction: 'Rollup Report'
+  });
+  
+  console.log("Completed createRollupReport function");
+  
+  var message = 'Rollup report created successfully in tab: ' + destTabName;
+  if (missingMonths.length > 0) {
+    message += '\n\nMonths without an e_2 tab (not included): ' + missingMonths.join(', ');
+  }
+  ui.alert('Success', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Sums a month's booked and available hours per hour slot and per weekday
+ * @param {Object} reportData - Data from buildMonthReportData
+ * @return {Object} {hourBooked, hourAvailable, weekdayBooked, weekdayAvailable}
+ */
+function summarizeReportData(reportData) {
+  var summary = {
+    hourBooked: [],
+    hourAvailable: [],
+    weekdayBooked: [0, 0, 0, 0, 0, 0, 0],
+    weekdayAvailable: [0, 0, 0, 0, 0, 0, 0]
+  };
+  
+  for (var r = 0; r < reportData.timeRows.length; r++) {
+    var booked = 0;
+    var available = 0;
+    
+    for (var c = 0; c < reportData.columns.length; c++) {
+      var column = reportData.columns[c];
+      var weekday = new Date(column.year, column.monthNum - 1, column.day).getDay();
+      
+      booked += reportData.dataGrid[r][c];
+      available += reportData.availableGrid[r][c];
+      summary.weekdayBooked[weekday] += reportData.dataGrid[r][c];
+      summary.weekdayAvailable[weekday] += reportData.availableGrid[r][c];
+    }
+    
+    summary.hourBooked.push(booked);
+    summary.hourAvailable.push(available);
+  }
+  
+  return summary;
+}
+
+/**
+ * Writes one comparison section (per hour slot or per weekday) to a sheet
+ * @param {Sheet} sheet - Destination sheet
+ * @param {number} startRow - Row for the section header
+ * @param {string} cornerLabel - Label of the first column (e.g. "Hour")
+ * @param {Array} labels - Row labels
+ * @param {Object} base - {booked, available} arrays for the earlier period
+ * @param {Object} current - {booked, available} arrays for the later period
+ * @param {string} baseLabel - Earlier period label (e.g. "May-24")
+ * @param {string} currentLabel - Later period label (e.g. "May-25")
+ * @return {number} First free row after the section
+ */
+function writeComparisonSection(sheet, startRow, cornerLabel, labels, base, current, baseLabel, currentLabel) {
+  var headerRow = [translateLabel(cornerLabel), formatLabel('Booked {0}', [baseLabel]), formatLabel('Booked {0}', [currentLabel]),
+                   translateLabel('Change'), translateLabel('Change %'), formatLabel('Utilization {0}', [baseLabel]),
+                   formatLabel('Utilization {0}', [currentLabel]), translateLabel('Utilization Change')];
+  var rows = [];
+  var fontColors = [];
+  
+  // Add a total line after the individual rows
+  var totals = { baseBooked: 0, baseAvailable: 0, currentBooked: 0, currentAvailable: 0 };
+  var entries = [];
+  for (var i = 0; i < labels.length; i++) {
+    entries.push({
+      label: labels[i],
+      baseBooked: base.booked[i],
+      baseAvailable: base.available[i],
+      currentBooked: current.booked[i],
+      currentAvailable: current.available[i]
+    });
+    totals.baseBooked += base.booked[i];
+    totals.baseAvailable += base.available[i];
+    totals.currentBooked += current.booked[i];
+    totals.currentAvailable += current.available[i];
+  }
+  totals.label = 'Total';
+  entries.push(totals);
+  
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    var change = entry.currentBooked - entry.baseBooked;
+    var changePercent = entry.baseBooked > 0 ? change / entry.baseBooked : '';
+    var baseUtilization = entry.baseAvailable > 0 ? entry.baseBooked / entry.baseAvailable : '';
+    var currentUtilization = entry.currentAvailable > 0 ? entry.currentBooked / entry.currentAvailable : '';
+    var utilizationChange = (baseUtilization !== '' && currentUtilization !== '') ? currentUtilization - baseUtilization : '';
+    
+    rows.push([translateLabel(entry.label), entry.baseBooked, entry.currentBooked, change, changePercent,
+               baseUtilization, currentUtilization, utilizationChange]);
+               
+    // Color-code increases and decreases
+    var colorRow = ['black', 'black', 'black', 'black', 'black', 'black', 'black', 'black'];
+    var deltaColumns = [3, 4, 7];
+    for (var d = 0; d < deltaColumns.length; d++) {
+      var deltaValue = rows[i][deltaColumns[d]];
+      if (deltaValue !== '' && deltaValue > 0.0001) {
+        colorRow[deltaColumns[d]] = '#328332';
+      } else if (deltaValue !== '' && deltaValue < -0.0001) {
+        colorRow[deltaColumns[d]] = '#F32C1E';
+      }
+    }
+    fontColors.push(colorRow);
+  }
+  
+  sheet.getRange(startRow, 1, 1, headerRow.length).setValues([headerRow])
+    .setFontWeight('bold')
+    .setBorder(false, false, true, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
+    
+  var dataRange = sheet.getRange(startRow + 1, 1, rows.length, headerRow.length);
+  dataRange.setValues(rows);
+  dataRange.setFontColors(fontColors);
+  sheet.getRange(startRow + 1, 5, rows.length, 4).setNumberFormat('0.0%');
+  sheet.getRange(startRow + 1, 1, rows.length, 1).setFontWeight('bold').setHorizontalAlignment('left');
+  sheet.getRange(startRow + 1, 4, rows.length, 2).setFontWeight('bold');
+  sheet.getRange(startRow + 1, 8, rows.length, 1).setFontWeight('bold');
+  
+  // Alternating row colors
+  for (var r = 0; r < rows.length - 1; r++) {
+    if (r % 2 === 0) {
+      sheet.getRange(startRow + 1 + r, 1, 1, headerRow.length).setBackground('#E3E2CD');
+    }
+  }
+  
+  // Total line
+  sheet.getRange(startRow + rows.length, 1, 1, headerRow.length).setFontWeight('bold')
+    .setBorder(true, false, false, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
+    
+  return startRow + rows.length + 1;
+}
+
+/**
+ * createYearOverYearReport Function
+ *
+ * Compares the same month in two years slot by slot. Builds the hours/days
+ * data for both months and shows booked hours, utilization and the absolute
+ * and percentage changes per hour slot and per weekday.
+ */
+function createYearOverYearReport() {
+  console.log("Starting createYearOverYearReport function");
+  
+  // Get UI instance
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Prompt for month and optional comparison year
+  var response = ui.prompt('Create Year-over-Year Report',
+    'Please enter a month (4 digits), optionally followed by the year to compare with (e.g. 0525 or 0525 2023):',
+    ui.ButtonSet.OK_CANCEL);
+    
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var inputMatch = response.getResponseText().trim().match(/^(\d{4})(?:\s+(?:20)?(\d{2}))?$/);
+  if (!inputMatch || !isValidMonthDigits(inputMatch[1])) {
+    ui.alert('Invalid Input', 'Please enter a valid MMYY month, optionally followed by a year.', ui.ButtonSet.OK);
+    console.log("Invalid input: not a month/year");
+    return;
+  }
+  
+  var currentDigits = inputMatch[1];
+  var baseYearShort = inputMatch[2] !== undefined ? inputMatch[2] :
+                      ('0' + (parseInt(currentDigits.substring(2, 4), 10) + 99) % 100).slice(-2); // 00 wraps to 99
+  var baseDigits = currentDigits.substring(0, 2) + baseYearShort;
+  
+  if (baseDigits === currentDigits) {
+    ui.alert('Invalid Input', 'Please choose a different year to compare with.', ui.ButtonSet.OK);
+    return;
+  }
+  debugLog("Comparing " + baseDigits + " with " + currentDigits);
+  
+  var baseData;
+  var currentData;
+  try {
+    baseData = buildMonthReportData(baseDigits);
+    currentData = buildMonthReportData(currentDigits);
+  } catch (e) {
+    console.log("Comparison failed: " + e.message);
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  var baseSummary = summarizeReportData(baseData);
+  var currentSummary = summarizeReportData(currentData);
+  
+  // Create or get destination tab
+  var destTabName = formatLabel('{0} vs {1} YoY', [currentData.title, baseData.title]);
+  var destSheet = spreadsheet.getSheetByName(destTabName);
+  if (destSheet) {
+    debugLog("Destination tab exists, deleting and recreating");
+    spreadsheet.deleteSheet(destSheet);
+  }
+  console.log("Creating new destination tab: " + destTabName);
+  destSheet = spreadsheet.insertSheet(destTabName);
+  applyReportDirection(destSheet);
+  
+  // Hide gridlines
+  try {
+    destSheet.setHiddenGridlines(true);
+  } catch (e) {
+    debugLog("Could not hide gridlines: " + e.toString());
+  }
+  
+  // Set base formatting for entire sheet
+  var fullRange = destSheet.getRange(1, 1, 100, 12);
+  fullRange.setFontFamily('Verdana');
+  fullRange.setFontSize(10);
+  fullRange.setBackground('#cbc9a2');
+  
+  batchFormat(destSheet, [
+    {
+      range: 'A1',
+      formula: '=CONCATENATE("' + formatLabel('{0} vs {1} Year-over-Year Comparison', [currentData.title, baseData.title]) +
+        '"," ",ClubInfo!$B$4)',
+      fontWeight: 'bold',
+      fontSize: 11
+    },
+    {
+      range: 'A3:D3',
+      values: [[formatLabel('Total Split Hours {0}', [baseData.title]), baseData.splitTotal,
+                formatLabel('Total Split Hours {0}', [currentData.title]), currentData.splitTotal]]
+    }
+  ]);
+  
+  // Per hour slot section (matched by hour in case the schedules differ)
+  var hourLabels = [];
+  var baseByHour = { booked: [], available: [] };
+  var currentByHour = { booked: [], available: [] };
+  var hours = currentData.timeRows.slice();
+  for (var i = 0; i < baseData.timeRows.length; i++) {
+    if (hours.indexOf(baseData.timeRows[i]) < 0) {
+      hours.push(baseData.timeRows[i]);
+    }
+  }
+  hours.sort(function(a, b) { return a - b; });
+  
+  for (var i = 0; i < hours.length; i++) {
+    var baseIndex = baseData.timeRows.indexOf(hours[i]);
+    var currentIndex = currentData.timeRows.indexOf(hours[i]);
+    
+    hourLabels.push("'" + formatTimeOfDay(hours[i]));
+    baseByHour.booked.push(baseIndex >= 0 ? baseSummary.hourBooked[baseIndex] : 0);
+    baseByHour.available.push(baseIndex >= 0 ? baseSummary.hourAvailable[baseIndex] : 0);
+    currentByHour.booked.push(currentIndex >= 0 ? currentSummary.hourBooked[currentIndex] : 0);
+    currentByHour.available.push(currentIndex >= 0 ? currentSummary.hourAvailable[currentIndex] : 0);
+  }
+  
+  destSheet.getRange('A5').setValue(translateLabel('By Hour Slot')).setFontWeight('bold');
+  var nextRow = writeComparisonSection(destSheet, 6, 'Hour', hourLabels, baseByHour, currentByHour,
+                                       baseData.title, currentData.title);
+                                       
+  // Per weekday section
+  var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  destSheet.getRange(nextRow + 1, 1).setValue(translateLabel('By Weekday')).setFontWeight('bold');
+  writeComparisonSection(destSheet, nextRow + 2, 'Day', dayNames,
+                         { booked: baseSummary.weekdayBooked, available: baseSummary.weekdayAvailable },
+                         { booked: currentSummary.weekdayBooked, available: currentSummary.weekdayAvailable },
+                         baseData.title, currentData.title);
+                         
+  destSheet.autoResizeColumns(1, 8);
+  logReportRun('Year-over-Year Report', { monthDigits: currentDigits, destTabName: destTabName, typeTotals: {} });
+  
+  console.log("Completed createYearOverYearReport function");
+  
+  ui.alert('Success', 'Year-over-year report created successfully in tab: ' + destTabName, ui.ButtonSet.OK);
+}
+
+/**
+ * refreshTrendDashboard Function
+ *
+ * Builds (or rebuilds) the Trend Dashboard tab. Finds every month with an
+ * [MMYY]e_2 booking tab and lays out total booked hours, available hours,
+ * overall utilization, busiest hour and busiest weekday per month, with
+ * line charts of the trend.
+ */
+function refreshTrendDashboard() {
+  console.log("Starting refreshTrendDashboard function");
+  
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  var months = findMonthsWithTab(spreadsheet, 'e_2');
+  if (months.length === 0) {
+    ui.alert('Error', 'No [MMYY]e_2 booking tabs found.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  var trendRows = [];
+  var failedMonths = [];
+  
+  for (var m = 0; m < months.length; m++) {
+    var reportData;
+    try {
+      reportData = buildMonthReportData(months[m]);
+    } catch (e) {
+      console.log("Skipping " + months[m] + ": " + e.message);
+      failedMonths.push(months[m]);
+      continue;
+    }
+    
+    var summary = summarizeReportData(reportData);
+    var bookedHours = 0;
+    var availableHours = 0;
+    var busiestHourIndex = 0;
+    for (var r = 0; r < summary.hourBooked.length; r++) {
+      bookedHours += summary.hourBooked[r];
+      availableHours += summary.hourAvailable[r];
+      if (summary.hourBooked[r] > summary.hourBooked[busiestHourIndex]) {
+        busiestHourIndex = r;
+      }
+    }
+    
+    var busiestWeekday = 0;
+    for (var d = 1; d < 7; d++) {
+      if (summary.weekdayBooked[d] > summary.weekdayBooked[busiestWeekday]) {
+        busiestWeekday = d;
+      }
+    }
+    
+    trendRows.push([
+      getZonedMidnight(reportData.year, reportData.monthNum, 1),
+      bookedHours,
+      availableHours,
+      availableHours > 0 ? bookedHours / availableHours : '',
+      bookedHours > 0 ? formatTimeOfDay(reportData.timeRows[busiestHourIndex]) : '',
+      bookedHours > 0 ? summary.hourBooked[busiestHourIndex] : '',
+      bookedHours > 0 ? translateLabel(dayNames[busiestWeekday]) : '',
+      bookedHours > 0 ? summary.weekdayBooked[busiestWeekday] : ''
+    ]);
+  }
+  
+  if (trendRows.length === 0) {
+    ui.alert('Error', 'No month could be processed for the dashboard.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  // Recreate the dashboard tab (this also removes the old charts)
+  var destTabName = translateLabel('Trend Dashboard');
+  var destSheet = spreadsheet.getSheetByName(destTabName);
+  if (destSheet) {
+    debugLog("Dashboard tab exists, deleting and recreating");
+    spreadsheet.deleteSheet(destSheet);
+  }
+  destSheet = spreadsheet.insertSheet(destTabName);
+  applyReportDirection(destSheet);
+  
+  // Hide gridlines
+  try {
+    destSheet.setHiddenGridlines(true);
+  } catch (e) {
+    debugLog("Could not hide gridlines: " + e.toString());
+  }
+  
+  // Set base formatting for entire sheet
+  var fullRange = destSheet.getRange(1, 1, Math.max(100, trendRows.length + 10), 26);
+  fullRange.setFontFamily('Verdana');
+  fullRange.setFontSize(10);
+  fullRange.setBackground('#cbc9a2');
+  
+  var tableStartRow = 3;
+  var headerRow = translateLabels(['Month', 'Booked Hours', 'Available Hours', '% Utilization',
+                                   'Busiest Hour', 'Busiest Hour Booked', 'Busiest Weekday', 'Busiest Weekday Booked']);
+                                   
+  batchFormat(destSheet, [
+    {
+      range: 'A1',
+      formula: '=CONCATENATE("' + translateLabel('Monthly Utilization Trend') + '"," ",ClubInfo!$B$4)',
+      fontWeight: 'bold',
+      fontSize: 11
+    }
+  ]);
+  
+  destSheet.getRange(tableStartRow, 1, 1, headerRow.length).setValues([headerRow])
+    .setFontWeight('bold')
+    .setBorder(false, false, true, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
+    
+  destSheet.getRange(tableStartRow + 1, 1, trendRows.length, headerRow.length).setValues(trendRows);
+  destSheet.getRange(tableStartRow + 1, 1, trendRows.length, 1).setNumberFormat('mmm-yy').setFontWeight('bold').setHorizontalAlignment('left');
+  destSheet.getRange(tableStartRow + 1, 4, trendRows.length, 1).setNumberFormat('0.0%').setFontWeight('bold');
+  
+  // Alternating row colors
+  for (var r = 0; r < trendRows.length; r++) {
+    if (r % 2 === 0) {
+      destSheet.getRange(tableStartRow + 1 + r, 1, 1, headerRow.length).setBackground('#E3E2CD');
+    }
+  }
+  
+  destSheet.autoResizeColumns(1, headerRow.length);
+  
+  // Line charts: booked vs available hours, and utilization
+  var monthRange = destSheet.getRange(tableStartRow, 1, trendRows.length + 1, 1);
+  var hoursChart = destSheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(monthRange)
+    .addRange(destSheet.getRange(tableStartRow, 2, trendRows.length + 1, 2))
+    .setNumHeaders(1)
+    .setPosition(tableStartRow, headerRow.length + 2, 0, 0)
+    .setOption('title', translateLabel('Booked vs Available Hours'))
+    .build();
+  destSheet.insertChart(hoursChart);
+  
+  var utilizationChart = destSheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(monthRange)
+    .addRange(destSheet.getRange(tableStartRow, 4, trendRows.length + 1, 1))
+    .setNumHeaders(1)
+    .setPosition(tableStartRow + 20, headerRow.length + 2, 0, 0)
+    .setOption('title', translateLabel('% Utilization'))
+    .setOption('vAxis', { format: 'percent' })
+    .build();
+  destSheet.insertChart(utilizationChart);
+  logReportRun('Trend Dashboard', { title: '', destTabName: destTabName, typeTotals: {} });
+  
+  console.log("Completed refreshTrendDashboard function");
+  
+  var message = 'Trend dashboard refreshed with ' + trendRows.length + ' month(s) in tab: ' + destTabName;
+  if (failedMonths.length > 0) {
+    message += '\n\nMonths that could not be processed: ' + failedMonths.join(', ');
+  }
+  ui.alert('Success', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Builds the default destination tab name for an hours/days report
+ * @param {string} title - Report period title (e.g., "May-25")
+ * @param {string} bookingType - 'e', 'i' or 'na'
+ * @return {string} Tab name in the report locale, e.g. "May-25 DH" or "May-25 DH i"
+ */
+function getDefaultReportTabName(title, bookingType) {
+  if (bookingType && bookingType !== 'e') {
+    return formatLabel('{0} DH {1}', [title, bookingType]);
+  }
+  return formatLabel('{0} DH', [title]);
+}
+
+/**
+ * Finds every month that has booking tabs, with the tabs present per booking type
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @return {Array} [{monthDigits, label, tabs: {e: {primary, split}, i: {...}, na: {...}},
+ *   reportTabNames: {e, i, na, all}}] in chronological order
+ */
+function findBookingMonths(spreadsheet) {
+  var bookingTypes = ['e', 'i', 'na'];
+  var monthsByDigits = {};
+  var sheets = spreadsheet.getSheets();
+  
+  for (var i = 0; i < sheets.length; i++) {
+    var match = sheets[i].getName().match(/^(\d{4})(e|i|na)(_2)?$/);
+    if (!match || !isValidMonthDigits(match[1])) {
+      continue;
+    }
+    
+    var monthDigits = match[1];
+    if (!monthsByDigits[monthDigits]) {
+      var tabs = {};
+      for (var t = 0; t < bookingTypes.length; t++) {
+        tabs[bookingTypes[t]] = { primary: false, split: false };
+      }
+      monthsByDigits[monthDigits] = {
+        monthDigits: monthDigits,
+        label: MONTH_NAMES[parseInt(monthDigits.substring(0, 2), 10) - 1] + '-' + monthDigits.substring(2),
+        tabs: tabs
+      };
+    }
+    
+    if (match[3]) {
+      monthsByDigits[monthDigits].tabs[match[2]].split = true;
+    } else {
+      monthsByDigits[monthDigits].tabs[match[2]].primary = true;
+    }
+  }
+  
+  var months = [];
+  for (var key in monthsByDigits) {
+    var month = monthsByDigits[key];
+    month.reportTabNames = {};
+    bookingTypes.concat(['all']).forEach(function(bookingType) {
+      month.reportTabNames[bookingType] = getDefaultReportTabName(month.label, bookingType);
+    });
+    months.push(month);
+  }
+  months.sort(function(a, b) { return monthDigitsToIndex(a.monthDigits) - monthDigitsToIndex(b.monthDigits); });
+  
+  return months;
+}
+
+/**
+ * Checks whether a tab name belongs to input data that a report must never overwrite
+ * @param {string} tabName - Candidate destination tab name
+ * @return {boolean} True for ClubInfo and [MMYY]e/i/na(_2) booking tabs
+ */
+function isProtectedTabName(tabName) {
+  return tabName === 'ClubInfo' || /^\d{4}(e|i|na)(_2)?$/.test(tabName);
+}
+
+/**
+ * Checks a destination tab name given for a report
+ * The report replaces any tab of that name, so data tabs are refused.
+ * @param {*} destTabName - Destination tab name
+ * @return {string} The trimmed tab name
+ */
+function validateDestTabName(destTabName) {
+  var tabName = destTabName.toString().trim();
+  if (!tabName) {
+    throw new Error('Destination tab name is empty.');
+  }
+  if (tabName.length > 100) {
+    throw new Error('Destination tab name must be at most 100 characters.');
+  }
+  if (isProtectedTabName(tabName)) {
+    throw new Error('Destination tab ' + tabName + ' is a data tab and cannot be overwritten.');
+  }
+  return tabName;
+}
+
+/**
+ * Opens the Month Hours sidebar
+ * Lists the months detected from the booking tab names and lets the user pick
+ * the action, booking type, report options and destination tab.
+ * @param {string} action - Preselected action: 'validate', 'byDay', 'reconcile', 'checkData',
+ *   'checkSplits', 'split' or 'report'
+ */
+function showMonthHoursSidebar(action) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  var template = HtmlService.createTemplateFromFile('MonthHoursSidebar');
+  template.months = findBookingMonths(spreadsheet);
+  template.action = action || 'report';
+  template.slotMinutes = SLOT_MINUTES;
+  
+  var html = template.evaluate().setTitle('Month Hours');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Runs the action submitted from the Month Hours sidebar
+ * Validates the form again on the server before running anything.
+ * @param {Object} form - {action, monthDigits, bookingType, destTabName, slotMinutes, proportional, validateFirst}
+ * @return {string} Result message shown in the sidebar
+ * @throws {Error} If the form is invalid or the run fails
+ */
+function runSidebarAction(form) {
+  console.log("Sidebar action: " + JSON.stringify(form));
+  
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var monthDigits = form.monthDigits;
+  var bookingType = form.bookingType;
+  
+  // Validate month against the months actually present
+  var months = findBookingMonths(spreadsheet);
+  var month = null;
+  for (var i = 0; i < months.length; i++) {
+    if (months[i].monthDigits === monthDigits) {
+      month = months[i];
+      break;
+    }
+  }
+  if (!month) {
+    throw new Error('Month ' + monthDigits + ' has no booking tabs in this spreadsheet.');
+  }
+  
+  if (bookingType === 'all' && form.action !== 'report') {
+    throw new Error('The combined booking type is only available for the Hours-Days table.');
+  }
+  if (['e', 'i', 'na', 'all'].indexOf(bookingType) < 0) {
+    throw new Error('Unknown booking type: ' + bookingType);
+  }
+  
+  if (form.action === 'validate') {
+    var validationData = runMonthHours({ monthDigits: monthDigits, bookingTypes: [bookingType] });
+    return "Results for month " + monthDigits + ":\n\n" + validationData.results.join("\n");
+  }
+  
+  if (form.action === 'reconcile') {
+    if (!month.tabs[bookingType].primary || !month.tabs[bookingType].split) {
+      throw new Error('Both ' + monthDigits + bookingType + ' and ' + monthDigits + bookingType + '_2 are needed to reconcile.');
+    }
+    var reconcileData = runMonthHours({ monthDigits: monthDigits, bookingTypes: [bookingType], reconcile: true });
+    return "Reconciliation for month " + monthDigits + ":\n\n" + reconcileData.reconciliation.results.join("\n") +
+           "\n\nDetails in tab: " + reconcileData.reconciliationTab;
+  }
+  
+  if (form.action === 'checkData') {
+    var qualityData = runMonthHours({ monthDigits: monthDigits, bookingTypes: [], checkData: true });
+    return "Data quality for month " + monthDigits + ":\n\n" + qualityData.dataQuality.results.join("\n") +
+           "\n\nDetails in tab: " + qualityData.dataQualityTab;
+  }
+  
+  if (form.action === 'checkSplits') {
+    if (!month.tabs[bookingType].split) {
+      throw new Error('Split tab ' + monthDigits + bookingType + '_2 not found.');
+    }
+    var splitData = runMonthHours({ monthDigits: monthDigits, bookingTypes: [bookingType], checkSplits: true });
+    return "Split integrity for month " + monthDigits + ":\n\n" + splitData.splitIntegrity.results.join("\n") +
+           "\n\nDetails in tab: " + splitData.splitIntegrityTab;
+  }
+  
+  if (form.action === 'split') {
+    if (!month.tabs[bookingType].primary) {
+      throw new Error('Primary tab ' + monthDigits + bookingType + ' not found.');
+    }
+    var splitResult = runSplitBookingTabs({ monthDigits: monthDigits, bookingTypes: [bookingType] });
+    var unsplitLines = splitResult.unsplit.map(function(row) {
+      return row.tabName + " row " + row.rowNumber + ": " + row.reason;
+    });
+    return "Split tab for month " + monthDigits + ":\n\n" + splitResult.results.join("\n") +
+           (unsplitLines.length > 0 ? "\n\nCopied unsplit:\n" + unsplitLines.join("\n") : "");
+  }
+  
+  if (form.action === 'byDay') {
+    if (!month.tabs[bookingType].primary || !month.tabs[bookingType].split) {
+      throw new Error('Both ' + monthDigits + bookingType + ' and ' + monthDigits + bookingType + '_2 are needed for the daily breakdown.');
+    }
+    var dailyData = runMonthHours({ monthDigits: monthDigits, bookingTypes: [bookingType], byDay: true });
+    return "Results for month " + monthDigits + ":\n\n" + dailyData.results.join("\n") + "\n" +
+           dailyData.dailyBreakdown.results.join("\n") + "\n\nDetails in tab: " + dailyData.dailyBreakdownTab;
+  }
+  
+  if (form.action !== 'report') {
+    throw new Error('Unknown action: ' + form.action);
+  }
+  
+  // Report-specific checks (the destination tab name is checked by runHoursDaysTable)
+  var tabKind = form.proportional ? 'primary' : 'split';
+  if (bookingType === 'all') {
+    if (!month.tabs.e[tabKind] && !month.tabs.i[tabKind] && !month.tabs.na[tabKind]) {
+      throw new Error(form.proportional ? 'No primary tabs (e, i, na) found for month ' + monthDigits + '.' :
+                      'No split tabs (e_2, i_2, na_2) found for month ' + monthDigits + '.');
+    }
+  } else if (!month.tabs[bookingType][tabKind]) {
+    throw new Error('Source tab ' + monthDigits + bookingType + (form.proportional ? '' : '_2') + ' not found.');
+  }
+  
+  var result = runHoursDaysTable({
+    monthDigits: monthDigits,
+    bookingType: bookingType,
+    options: {
+      destTabName: form.destTabName || '',
+      slotMinutes: resolveSlotMinutes(form.slotMinutes),
+      proportional: !!form.proportional,
+      validateFirst: !!form.validateFirst
+    }
+  });
+  
+  if (result.skipped) {
+    return "Report not created - validation failed:\n\n" + result.validation.results.join("\n");
+  }
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  
+  console.log("Completed sidebar report for " + monthDigits);
+  return 'Hours-Days table created successfully in tab: ' + result.destTabName;
+}
+
+/**
+ * Gets the MMYY of the month before a given date
+ * @param {Date} date - Reference date
+ * @return {string} Previous month in MMYY format
+ */
+function getPreviousMonthDigits(date) {
+  var previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return ('0' + (previous.getMonth() + 1)).slice(-2) + previous.getFullYear().toString().substring(2);
+}
+
+/**
+ * Appends one row to the Run Log tab, creating the tab if needed
+ * @param {Array} rowValues - [timestamp, month, validation, report status, tab name, details]
+ */
+function appendRunLog(rowValues) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var logSheet = spreadsheet.getSheetByName(translateLabel(RUN_LOG_TAB_NAME));
+  
+  if (!logSheet) {
+    debugLog("Creating run log tab");
+    logSheet = spreadsheet.insertSheet(translateLabel(RUN_LOG_TAB_NAME));
+    logSheet.getRange(1, 1, 1, 6)
+      .setValues([translateLabels(['Timestamp', 'Month', 'Validation', 'Report', 'Tab', 'Details'])])
+      .setFontWeight('bold');
+    logSheet.getRange(1, 2, logSheet.getMaxRows(), 1).setNumberFormat('@'); // Keep MMYY leading zeros
+    logSheet.setFrozenRows(1);
+  }
+  
+  logSheet.appendRow(rowValues);
+}
+
+/**
+ * Removes all time-driven triggers that call runMonthClose
+ * @return {number} Number of triggers removed
+ */
+function deleteMonthCloseTriggers() {
+  var triggers = ScriptApp.getProjectTriggers();
+  var removed = 0;
+  
+  for (var i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === 'runMonthClose') {
+      ScriptApp.deleteTrigger(triggers[i]);
+      removed++;
+    }
+  }
+  
+  return removed;
+}
+
+/**
+ * installMonthCloseTrigger Function
+ *
+ * Installs a monthly time-driven trigger that runs runMonthClose on the
+ * chosen day of the month. The day is kept in the script properties.
+ */
+function installMonthCloseTrigger() {
+  console.log("Starting installMonthCloseTrigger function");
+  
+  var ui = SpreadsheetApp.getUi();
+  var properties = PropertiesService.getScriptProperties();
+  var currentDay = properties.getProperty('MONTH_CLOSE_DAY') || MONTH_CLOSE_DEFAULT_DAY;
+  
+  // Prompt for day of month
+  var response = ui.prompt('Schedule Month Close',
+    'Day of the month to process the previous month (1-28, currently ' + currentDay + '):',
+    ui.ButtonSet.OK_CANCEL);
+    
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var dayText = response.getResponseText().trim() || currentDay.toString();
+  var day = parseInt(dayText, 10);
+  if (!/^\d{1,2}$/.test(dayText) || day < 1 || day > 28) {
+    ui.alert('Invalid Input', 'Please enter a day between 1 and 28.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  properties.setProperty('MONTH_CLOSE_DAY', day.toString());
+  
+  // Replace any existing schedule
+  var removed = deleteMonthCloseTriggers();
+  debugLog("Removed " + removed + " existing month-close triggers");
+  
+  ScriptApp.newTrigger('runMonthClose')
+    .timeBased()
+    .onMonthDay(day)
+    .atHour(MONTH_CLOSE_HOUR)
+    .create();
+    
+  console.log("Month-close trigger installed for day " + day);
+  ui.alert('Success', 'Month close will run on day ' + day + ' of every month at about ' +
+           formatTimeAMPM(MONTH_CLOSE_HOUR) + '.\nResults are recorded in the ' + translateLabel(RUN_LOG_TAB_NAME) + ' tab.',
+           ui.ButtonSet.OK);
+}
+
+/**
+ * removeMonthCloseTrigger Function
+ *
+ * Removes the automatic month-close schedule.
+ */
+function removeMonthCloseTrigger() {
+  var removed = deleteMonthCloseTriggers();
+  console.log("Removed " + removed + " month-close triggers");
+  
+  var ui = SpreadsheetApp.getUi();
+  ui.alert('Month Close', removed > 0 ? 'Month close schedule removed.' : 'No month close schedule was installed.', ui.ButtonSet.OK);
+}
+
+/**
+ * runMonthClose Function
+ *
+ * Trigger handler: validates the previous month and builds its Hours-Days
+ * table. Report generation is skipped when the e vs e_2 totals don't match.
+ * Runs without any dialogs and records the outcome in the Run Log tab.
+ * @param {Object} e - Optional trigger event (unused)
+ * @return {Object} Run result {monthDigits, validation, report}
+ */
+function runMonthClose(e) {
+  console.log("Starting runMonthClose function");
+  
+  var monthDigits = getPreviousMonthDigits(new Date());
+  var timestamp = new Date();
+  var runResult = { monthDigits: monthDigits, validation: null, report: null };
+  
+  try {
+    runResult.validation = runMonthHours(monthDigits);
+    var validationSummary = runResult.validation.results.join('; ');
+    var ePair = runResult.validation.tabData.e;
+    
+    if (!ePair || !ePair.isValid) {
+      console.log("Month close for " + monthDigits + ": e vs e_2 mismatch, report skipped");
+      appendRunLog([timestamp, monthDigits, validationSummary, 'Skipped', '',
+                    'e vs e_2 totals do not match (or tabs are missing)']);
+      return runResult;
+    }
+    
+    runResult.report = runHoursDaysTable({ monthDigits: monthDigits });
+    if (runResult.report.success) {
+      appendRunLog([timestamp, monthDigits, validationSummary, 'Created', runResult.report.destTabName, '']);
+    } else {
+      appendRunLog([timestamp, monthDigits, validationSummary, 'Failed', '', runResult.report.error]);
+    }
+  } catch (err) {
+    console.log("Month close failed for " + monthDigits + ": " + err.message);
+    appendRunLog([timestamp, monthDigits, '', 'Failed', '', err.message]);
+  }
+  
+  console.log("Completed runMonthClose function");
+  return runResult;
+}
+
+/**
+ * Helper function to parse a time of day including minutes
+ * @param {string|number|Date} timeValue - Time value from sheet
+ * @return {number|null} Time in decimal hours (e.g., 9.5 for 9:30 AM), or null if unparseable
+ */
+function parseTimeOfDay(timeValue) {
+  if (timeValue === '' || timeValue === null || timeValue === undefined) return null;
+  
+  // If it's already a Date object (read in the spreadsheet time zone)
+  if (timeValue instanceof Date) {
+    var timeParts = getZonedDateParts(timeValue);
+    return timeParts.hour + timeParts.minute / 60;
+  }
+  
+  // If it's a number (decimal day, 0.5 = 12:00 PM), rounded to the minute
+  if (typeof timeValue === 'number') {
+    return Math.round(timeValue * 24 * 60) / 60;
+  }
+  
+  var timeStr = timeValue.toString().trim();
+  
+  // AM/PM format (e.g., "9:30 am", "10PM")
+  var ampmMatch = timeStr.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i);
+  if (ampmMatch) {
+    var hour = parseInt(ampmMatch[1], 10);
+    var isPM = ampmMatch[3].toUpperCase() === 'PM';
+    
+    if (hour === 12 && !isPM) hour = 0;
+    else if (hour !== 12 && isPM) hour += 12;
+    
+    return hour + (ampmMatch[2] ? parseInt(ampmMatch[2], 10) / 60 : 0);
+  }
+  
+  // 24-hour format (e.g., "14:30")
+  var clockMatch = timeStr.match(/^(\d{1,2}):(\d{2})$/);
+  if (clockMatch) {
+    return parseInt(clockMatch[1], 10) + parseInt(clockMatch[2], 10) / 60;
+  }
+  
+  debugLog("Could not parse time of day: " + timeStr);
+  return null;
+}
+
+/**
+ * Helper function to format decimal hours as a time label
+ * @param {number} decimalHours - Time in decimal hours (e.g., 9.5); hours past 24 continue
+ *   after midnight (e.g., 25 is "1AM")
+ * @return {string} Time in AM/PM format (e.g., "9:30AM")
+ */
+function formatTimeOfDay(decimalHours) {
+  var hour = Math.floor(decimalHours);
+  var minutes = Math.round((decimalHours - hour) * 60);
+  if (minutes === 60) {
+    hour++;
+    minutes = 0;
+  }
+  if (hour > 24 || (hour === 24 && minutes > 0)) {
+    hour -= 24;
+  }
+  
+  // 24-hour clock for Hebrew reports (e.g., "09:30", "24:00")
+  if (REPORT_LOCALE === 'he') {
+    return ('0' + hour).slice(-2) + ':' + ('0' + minutes).slice(-2);
+  }
+  
+  var label = formatTimeAMPM(hour);
+  if (minutes === 0 || hour === 24) {
+    return label;
+  }
+  return label.replace(/(AM|PM)$/, ':' + ('0' + minutes).slice(-2) + '$1');
+}
+
+/**
+ * Hebrew translations of generated report labels, keyed by the English label
+ * Only whole labels are translated. Labels with variable parts have a template
+ * key such as "{0} Daily Hours Validation" (see formatLabel); date labels such
+ * as "29-May" or "May-25" translate their month name (see translateDateLabel).
+ */
+var REPORT_TRANSLATIONS = {
+  he: {
+    // Day and month names
+    'Sunday': 'ראשון', 'Monday': 'שני', 'Tuesday': 'שלישי', 'Wednesday': 'רביעי',
+    'Thursday': 'חמישי', 'Friday': 'שישי', 'Saturday': 'שבת',
+    'Sun': 'א׳', 'Mon': 'ב׳', 'Tue': 'ג׳', 'Wed': 'ד׳', 'Thu': 'ה׳', 'Fri': 'ו׳', 'Sat': 'ש׳',
+    'Jan': 'ינו׳', 'Feb': 'פבר׳', 'Mar': 'מרץ', 'Apr': 'אפר׳', 'May': 'מאי', 'Jun': 'יוני',
+    'Jul': 'יולי', 'Aug': 'אוג׳', 'Sep': 'ספט׳', 'Oct': 'אוק׳', 'Nov': 'נוב׳', 'Dec': 'דצמ׳',
+    
+    // Hours-Days report
+    '{0} Detailed Hours and Usage': 'פירוט שעות וניצול {0}',
+    '{0} to {1}': '{0} עד {1}',
+    'Hours/Days': 'שעות/ימים',
+    'Hours/Months': 'שעות/חודשים',
+    'Total Dates': 'סה״כ תאריכים',
+    'Total Months': 'סה״כ חודשים',
+    'Total Days': 'סה״כ ימים',
+    'Total Hours': 'סה״כ שעות',
+    'Total {0} Hours': 'סה״כ שעות {0}',
+    '{0} Hours': 'שעות {0}',
+    'Total Available Hours': 'סה״כ שעות זמינות',
+    'Total Split Hours': 'סה״כ שעות מפוצלות',
+    'Total Distributed Hours': 'סה״כ שעות מחולקות',
+    'Available Hours': 'שעות זמינות',
+    'Booked Hours': 'שעות שהוזמנו',
+    '% Utilization': '% ניצול',
+    'Overall Utilization': 'ניצול כולל',
+    'Max Hours per Hour': 'מקסימום שעות לשעה',
+    'Slot Size': 'גודל משבצת',
+    'min': 'דק׳',
+    'Day': 'יום',
+    'Open': 'פתיחה',
+    'Close': 'סגירה',
+    'Not Found': 'לא נמצא',
+    'Please Check': 'יש לבדוק',
+    'OK': 'תקין',
+    'Check Sum': 'בדוק סכום',
+    'Table Sum Status': 'סטטוס סכום הטבלה',
+    'Unplaced Hours': 'שעות שלא שובצו',
+    'Capacity Conflicts': 'חריגות קיבולת',
+    'Over capacity': 'מעל הקיבולת',
+    'Booked while closed': 'הוזמן בזמן סגירה',
+    'Unplaced Bookings': 'הזמנות שלא שובצו',
+    'By Booking Type': 'לפי סוג הזמנה',
+    'Booking Rows': 'שורות הזמנה',
+    '{0} row {1} ({2}h)': '{0} שורה {1} ({2} ש׳)',
+    'Hours mismatch': 'אי-התאמה בשעות',
+    'Missing from split tab': 'חסרה בלשונית המפוצלת',
+    'Extra in split tab': 'עודפת בלשונית המפוצלת',
+    'Runs past the latest closing hour ({0})': 'נמשכת אחרי שעת הסגירה המאוחרת ({0})',
+    'Club closed all month (no hour rows)': 'המועדון סגור כל החודש (אין שורות שעה)',
+    'Starts before the earliest opening hour ({0})': 'מתחילה לפני שעת הפתיחה המוקדמת ({0})',
+    'Starts after the latest closing hour ({0})': 'מתחילה אחרי שעת הסגירה המאוחרת ({0})',
+    'Start hour {0} is not a report row': 'שעת ההתחלה {0} אינה שורה בדוח',
+    'Date outside the report period': 'תאריך מחוץ לתקופת הדוח',
+    
+    // Tab names
+    '{0} DH': 'שעות-ימים {0}',
+    '{0} DH {1}': 'שעות-ימים {0} {1}',
+    'all': 'כל הסוגים',
+    '{0} Rollup': 'סיכום תקופתי {0}',
+    '{0} vs {1} YoY': 'שנתי {0} מול {1}',
+    'Trend Dashboard': 'לוח מגמות',
+    '{0} Reconciliation': 'התאמה {0}',
+    '{0} Validation': 'בדיקה {0}',
+    '{0} Data Issues': 'בעיות נתונים {0}',
+    '{0} Split Integrity': 'תקינות פיצול {0}',
+    '{0} Audit History': 'היסטוריית ביקורת {0}',
+    'ci_check': 'בדיקת ClubInfo',
+    
+    // Comparison, rollup and trend reports
+    '{0} vs {1} Year-over-Year Comparison': 'השוואה שנתית {0} מול {1}',
+    'Monthly Utilization Trend': 'מגמת ניצול חודשית',
+    'Booked vs Available Hours': 'שעות שהוזמנו מול שעות זמינות',
+    'By Hour Slot': 'לפי משבצת שעה',
+    'By Weekday': 'לפי יום בשבוע',
+    'By Day': 'לפי יום',
+    'Busiest Hour': 'השעה העמוסה',
+    'Busiest Hour Booked': 'הוזמנו בשעה העמוסה',
+    'Busiest Weekday': 'היום העמוס',
+    'Busiest Weekday Booked': 'הוזמנו ביום העמוס',
+    'Utilization Change': 'שינוי בניצול',
+    'Utilization': 'ניצול',
+    'Change %': '% שינוי',
+    'Change': 'שינוי',
+    'Booked': 'הוזמנו',
+    'Booked {0}': 'הוזמנו {0}',
+    'Utilization {0}': 'ניצול {0}',
+    'Total Split Hours {0}': 'סה״כ שעות מפוצלות {0}',
+    
+    // Validation and list reports
+    '{0} Daily Hours Validation': 'בדיקת שעות יומית {0}',
+    '{0} Booking Reconciliation': 'התאמת הזמנות {0}',
+    '{0} Data Quality': 'איכות נתונים {0}',
+    '{0} Validation History': 'היסטוריית בדיקות {0}',
+    '{0} vs {1} by Day': '{0} מול {1} לפי יום',
+    '{0} vs {1} by Weekday': '{0} מול {1} לפי יום בשבוע',
+    '{0} / {1} Unparseable Dates': 'תאריכים לא קריאים {0} / {1}',
+    'Outside month / no date': 'מחוץ לחודש / ללא תאריך',
+    'No tab pairs found for this month': 'לא נמצאו זוגות לשוניות לחודש זה',
+    'All bookings reconciled': 'כל ההזמנות הותאמו',
+    'No data issues found': 'לא נמצאו בעיות בנתונים',
+    'Every split row covers one clock hour and matches its hours': 'כל שורה מפוצלת מכסה שעה אחת ותואמת את שעותיה',
+    'Primary Bookings': 'הזמנות ראשיות',
+    'Split Bookings': 'הזמנות מפוצלות',
+    'Primary Hours': 'שעות ראשיות',
+    'Secondary Hours': 'שעות משניות',
+    'Tabs Checked': 'לשוניות שנבדקו',
+    'Time Zone': 'אזור זמן',
+    'Spreadsheet time zone': 'אזור הזמן של הגיליון',
+    'Script time zone': 'אזור הזמן של הסקריפט',
+    'Spreadsheet and script both use {0}': 'הגיליון והסקריפט משתמשים שניהם ב-{0}',
+    'Spreadsheet time zone {0} differs from script time zone {1} (dates and times are read in the spreadsheet time zone; align them under File > Settings and Project Settings)':
+      'אזור הזמן של הגיליון {0} שונה מאזור הזמן של הסקריפט {1} (תאריכים ושעות נקראים לפי אזור הזמן של הגיליון; יש להשוות ביניהם בהגדרות הגיליון ובהגדרות הפרויקט)',
+    'Daylight saving change on day {0}': 'מעבר שעון ביום {0}',
+    '{0} skipped': '{0} דולגה',
+    '{0} repeated': '{0} חוזרת',
+    'Status': 'סטטוס',
+    'ClubInfo Opening Hours Check': 'בדיקת שעות פתיחה ב-ClubInfo',
+    'Opening Hours by Day': 'שעות פתיחה לפי יום',
+    'ClubInfo Entries ({0})': 'רשומות ClubInfo ({0})',
+    'Overlapping windows': 'חלונות חופפים',
+    'Closes after the business day cutoff ({0})': 'נסגר אחרי סוף יום העסקים ({0})',
+    'Unknown day name': 'שם יום לא מוכר',
+    'Cannot parse (use HH:MM-HH:MM, separate windows with commas)': 'לא ניתן לפענח (יש להשתמש ב-HH:MM-HH:MM ולהפריד חלונות בפסיקים)',
+    'No opening hours found': 'לא נמצאו שעות פתיחה',
+    'No opening hours entered': 'לא הוזנו שעות פתיחה',
+    'Parsed Windows': 'חלונות שזוהו',
+    'Window Count': 'מספר חלונות',
+    'Windows': 'חלונות',
+    'Open Hours': 'שעות פתיחה',
+    'Cell': 'תא',
+    'Discrepancies': 'אי-התאמות',
+    'Violations': 'חריגות',
+    'Summary': 'סיכום',
+    'Difference': 'הפרש',
+    'Date Value': 'ערך תאריך',
+    'Matched': 'הותאמו',
+    'Missing': 'חסרות',
+    'Extra': 'עודפות',
+    'Weekday': 'יום בשבוע',
+    'Timestamp': 'חותמת זמן',
+    'User': 'משתמש',
+    'Action': 'פעולה',
+    'Result': 'תוצאה',
+    'Audit Log': 'יומן ביקורת',
+    'Run Log': 'יומן הרצות',
+    '{0} Primary': '{0} ראשי',
+    '{0} Secondary': '{0} משני',
+    '{0} Status': 'סטטוס {0}',
+    'Validation': 'אימות',
+    'Details': 'פרטים',
+    'Status Change': 'שינוי סטטוס',
+    'Runs (primary / secondary sums and status per pair)': 'הרצות (סכומים ראשיים / משניים וסטטוס לכל זוג)',
+    'Validate': 'בדיקה',
+    'Report': 'דוח',
+    'Combined Report': 'דוח משולב',
+    'Range Report': 'דוח טווח',
+    'Rollup Report': 'דוח תקופתי',
+    'Year-over-Year Report': 'דוח שנתי',
+    'Split': 'פיצול',
+    'Created': 'נוצר',
+    'PASS': 'עבר',
+    'FAIL': 'נכשל',
+    'MISSING': 'חסר',
+    
+    // Reconciliation, data quality and split integrity
+    'Hours Mismatch': 'אי-התאמה בשעות',
+    'Unreadable Rows': 'שורות לא קריאות',
+    'Booking ({0})': 'הזמנה ({0})',
+    'Primary Row': 'שורה ראשית',
+    'Primary Time': 'שעה ראשית',
+    'Split Rows': 'שורות מפוצלות',
+    'Split Time': 'שעה מפוצלת',
+    'Split Hours': 'שעות מפוצלות',
+    'Start (F)': 'התחלה (F)',
+    'End (G)': 'סיום (G)',
+    'Hours (H)': 'שעות (H)',
+    'dates': 'תאריכים',
+    'start times': 'שעות התחלה',
+    'end times': 'שעות סיום',
+    'hours': 'שעות',
+    'Missing column {0} ({1})': 'חסרה עמודה {0} ({1})',
+    'Empty header for the {0} column': 'כותרת ריקה לעמודת {0}',
+    'Header holds a value instead of a column name (header row missing?)': 'הכותרת מכילה ערך במקום שם עמודה (חסרה שורת כותרת?)',
+    'Column {0} does not hold {1} in {2} of {3} rows (check the column order)': 'עמודה {0} אינה מכילה {1} ב-{2} מתוך {3} שורות (יש לבדוק את סדר העמודות)',
+    'Missing date': 'חסר תאריך',
+    'Unparseable date': 'תאריך לא קריא',
+    'Date outside {0}': 'תאריך מחוץ ל-{0}',
+    'Missing start time': 'חסרה שעת התחלה',
+    'Unparseable start time': 'שעת התחלה לא קריאה',
+    'Missing end time': 'חסרה שעת סיום',
+    'Unparseable end time': 'שעת סיום לא קריאה',
+    'Missing hours': 'חסרות שעות',
+    'Non-numeric hours': 'שעות לא מספריות',
+    'Hours stored as text, coerced to {0}': 'שעות שמורות כטקסט, הומרו ל-{0}',
+    'Hours not positive': 'שעות לא חיוביות',
+    'Unparseable start or end time': 'שעת התחלה או סיום לא קריאה',
+    'End time not after start time': 'שעת הסיום אינה אחרי שעת ההתחלה',
+    'Spans more than one clock hour ({0})': 'משתרעת על יותר משעת שעון אחת ({0})',
+    'Hours {0} do not match end minus start ({1})': 'השעות {0} אינן תואמות סיום פחות התחלה ({1})',
+    'Runs past midnight without a valid date': 'נמשכת אחרי חצות ללא תאריך תקין',
+    'Hours (H) do not match end minus start (G - F)': 'השעות (H) אינן תואמות סיום פחות התחלה (G - F)',
+    'Setting': 'הגדרה',
+    'Value': 'ערך',
+    'Column': 'עמודה',
+    'Found': 'נמצא',
+    'Issues': 'בעיות',
+    'Issue': 'בעיה',
+    'Tabs': 'לשוניות',
+    'Tab': 'לשונית',
+    'Rows': 'שורות',
+    'Row': 'שורה',
+    'Pair': 'זוג',
+    'Reason': 'סיבה',
+    'Start': 'התחלה',
+    'End': 'סיום',
+    'Hours': 'שעות',
+    'Hour': 'שעה',
+    'Date': 'תאריך',
+    'Month': 'חודש',
+    'Total': 'סה״כ',
+    'None': 'אין',
+    'Yes': 'כן',
+    'No': 'לא'
+  }
+};
+var REPORT_TRANSLATION_TEMPLATES = {}; // Template keys of REPORT_TRANSLATIONS compiled to patterns on first use
+
+/**
+ * Translates a generated report label into the report locale (REPORT_LOCALE)
+ * The label must match a REPORT_TRANSLATIONS key as a whole: an exact key, a
+ * date label, or a template key whose variable parts are translated in turn
+ * (e.g. "May-25 Daily Hours Validation" matches "{0} Daily Hours Validation").
+ * Labels without a key stay in English.
+ * @param {*} text - Label to translate (non-string values are returned unchanged)
+ * @return {*} The translated label
+ */
+function translateLabel(text) {
+  var translations = REPORT_TRANSLATIONS[REPORT_LOCALE];
+  if (!translations || typeof text !== 'string' || text === '') {
+    return text;
+  }
+  if (translations.hasOwnProperty(text)) {
+    return translations[text];
+  }
+  
+  var dateLabel = translateDateLabel(text);
+  if (dateLabel !== null) {
+    return dateLabel;
+  }
+  
+  var templates = getTranslationTemplates();
+  for (var i = 0; i < templates.length; i++) {
+    var match = text.match(templates[i].pattern);
+    if (match) {
+      return formatLabel(templates[i].key, match.slice(1));
+    }
+  }
+  return text;
+}
+
+/**
+ * Builds a label with variable parts from a template key of REPORT_TRANSLATIONS
+ * The template is translated as a whole and each value on its own (see
+ * translateLabel), e.g. formatLabel('{0} Daily Hours Validation', ['May-25']).
+ * @param {string} template - English template with {0}, {1}... placeholders
+ * @param {Array} values - Values of the placeholders
+ * @return {string} The label in the report locale
+ */
+function formatLabel(template, values) {
+  var translations = REPORT_TRANSLATIONS[REPORT_LOCALE];
+  var text = translations && translations.hasOwnProperty(template) ? translations[template] : template;
+  return text.replace(/\{(\d+)\}/g, function(placeholder, index) {
+    return translateLabel(String(values[index]));
+  });
+}
+
+/**
+ * Translates the month name of a generated date label ("29-May", "May-25" or "15-Mar-25")
+ * @param {string} text - Label to translate
+ * @return {string|null} The translated label, or null if the text is not a date label
+ */
+function translateDateLabel(text) {
+  var translations = REPORT_TRANSLATIONS[REPORT_LOCALE];
+  var match = text.match(/^(\d{1,2}-)?([A-Z][a-z]{2})(-\d{2})?$/);
+  if (!match || (!match[1] && !match[3]) || !translations.hasOwnProperty(match[2])) {
+    return null;
+  }
+  return (match[1] || '') + translations[match[2]] + (match[3] || '');
+}
+
+/**
+ * Compiles the template keys of the report locale into anchored patterns
+ * Templates with the most fixed text come first, so "Total {0} Hours" wins over "{0} Hours".
+ * @return {Array} Objects with the template key and its pattern
+ */
+function getTranslationTemplates() {
+  if (!REPORT_TRANSLATION_TEMPLATES[REPORT_LOCALE]) {
+    var keys = Object.keys(REPORT_TRANSLATIONS[REPORT_LOCALE]).filter(function(key) {
+      return /\{\d+\}/.test(key);
+    });
+    keys.sort(function(a, b) { return b.replace(/\{\d+\}/g, '').length - a.replace(/\{\d+\}/g, '').length; });
+    
+    REPORT_TRANSLATION_TEMPLATES[REPORT_LOCALE] = keys.map(function(key) {
+      var parts = key.split(/\{\d+\}/).map(function(part) { return part.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&'); });
+      return { key: key, pattern: new RegExp('^' + parts.join('(.+?)') + '$') };
+    });
+  }
+  return REPORT_TRANSLATION_TEMPLATES[REPORT_LOCALE];
+}
+
+/**
+ * Translates every label of a row (see translateLabel)
+ * @param {Array} labels - Labels, e.g. a header row
+ * @return {Array} New array with the translated labels
+ */
+function translateLabels(labels) {
+  return labels.map(translateLabel);
+}
+
+/**
+ * Maps a ClubInfo day name in English or Hebrew to its English name
+ * Accepts full names in either case, "Sun"-style abbreviations and Hebrew
+ * names with or without "יום" (e.g. "יום ראשון", "ראשון", "א׳").
+ * @param {string} dayName - Day name as entered in ClubInfo
+ * @return {string} English day name (e.g., "Sunday"), or the trimmed input if it is not a day name
+ */
+function normalizeDayName(dayName) {
+  var englishNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  var hebrew = REPORT_TRANSLATIONS.he;
+  var text = String(dayName).trim();
+  var hebrewText = text.replace(/^יום\s+/, '').replace(/['"]/g, '׳');
+  
+  for (var i = 0; i < englishNames.length; i++) {
+    var englishName = englishNames[i];
+    if (text.toLowerCase() === englishName.toLowerCase() ||
+        text.toLowerCase() === englishName.substring(0, 3).toLowerCase() ||
+        hebrewText === hebrew[englishName] || hebrewText === hebrew[englishName.substring(0, 3)]) {
+      return englishName;
+    }
+  }
+  return text;
+}
+
+/**
+ * Lays out a newly created report tab in the direction of the report locale
+ * (right-to-left for Hebrew)
+ * @param {Sheet} sheet - The report sheet
+ */
+function applyReportDirection(sheet) {
+  if (REPORT_LOCALE === 'he') {
+    sheet.setRightToLeft(true);
+  }
+}
+
+/**
+ * Writes a tab with one or more titled list tables (issue lists, discrepancy lists)
+ * The tab is deleted and recreated on every run.
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} report - {destTabName, title, sections}; each section is
+ *   {heading, headerRow, rows, emptyMessage, highlightRows (row indexes), highlightColor,
+ *   columnFormats ({column number: number format})}
+ * @return {Sheet} The written sheet
+ */
+function writeListReport(spreadsheet, report) {
+  var destTabName = report.destTabName;
+  var sections = report.sections;
+  
+  // Create or get destination tab
+  var destSheet = spreadsheet.getSheetByName(destTabName);
+  if (destSheet) {
+    debugLog("Destination tab exists, deleting and recreating");
+    spreadsheet.deleteSheet(destSheet);
+  }
+  console.log("Creating new destination tab: " + destTabName);
+  destSheet = spreadsheet.insertSheet(destTabName);
+  applyReportDirection(destSheet);
+  
+  // Hide gridlines
+  try {
+    destSheet.setHiddenGridlines(true);
+  } catch (e) {
+    debugLog("Could not hide gridlines: " + e.toString());
+  }
+  
+  var totalRows = 2;
+  var maxColumns = 1;
+  for (var s = 0; s < sections.length; s++) {
+    totalRows += Math.max(sections[s].rows.length, 1) + 3;
+    maxColumns = Math.max(maxColumns, sections[s].headerRow.length);
+  }
+  
+  // Set base formatting for entire sheet
+  var fullRange = destSheet.getRange(1, 1, Math.max(100, totalRows + 10), Math.max(12, maxColumns));
+  fullRange.setFontFamily('Verdana');
+  fullRange.setFontSize(10);
+  fullRange.setBackground('#cbc9a2');
+  
+  batchFormat(destSheet, [
+    {
+      range: 'A1',
+      formula: '=CONCATENATE("' + translateLabel(report.title) + '"," ",ClubInfo!$B$4)',
+      fontWeight: 'bold',
+      fontSize: 11
+    }
+  ]);
+  
+  var currentRow = 3;
+  for (var s = 0; s < sections.length; s++) {
+    var section = sections[s];
+    var columnCount = section.headerRow.length;
+    
+    destSheet.getRange(currentRow, 1).setValue(translateLabel(section.heading)).setFontWeight('bold');
+    destSheet.getRange(currentRow + 1, 1, 1, columnCount).setValues([translateLabels(section.headerRow)])
+      .setFontWeight('bold')
+      .setBorder(false, false, true, false, false, false, 'black', SpreadsheetApp.BorderStyle.SOLID_THICK);
+    currentRow += 2;
+    
+    if (section.rows.length === 0) {
+      destSheet.getRange(currentRow, 1).setValue(translateLabel(section.emptyMessage || 'None')).setFontStyle('italic');
+      currentRow += 2;
+      continue;
+    }
+    
+    destSheet.getRange(currentRow, 1, section.rows.length, columnCount).setValues(section.rows);
+    for (var column in section.columnFormats || {}) {
+      destSheet.getRange(currentRow, parseInt(column, 10), section.rows.length, 1)
+        .setNumberFormat(section.columnFormats[column]);
+    }
+    
+    // Alternating row colors, then highlighted rows on top
+    for (var r = 0; r < section.rows.length; r++) {
+      if (r % 2 === 0) {
+        destSheet.getRange(currentRow + r, 1, 1, columnCount).setBackground('#E3E2CD');
+      }
+    }
+    var highlightRows = section.highlightRows || [];
+    for (var h = 0; h < highlightRows.length; h++) {
+      destSheet.getRange(currentRow + highlightRows[h], 1, 1, columnCount)
+        .setBackground(section.highlightColor || '#F4C7C3');
+    }
+    
+    currentRow += section.rows.length + 1;
+  }
+  
+  destSheet.autoResizeColumns(1, maxColumns);
+  
+  return destSheet;
+}
+
+/**
+ * Converts configured column letters to zero-based column indexes
+ * @param {Array} columnLetters - Column letters (e.g., ['B', 'C'])
+ * @return {Array} Zero-based indexes (e.g., [1, 2])
+ */
+function columnLettersToIndexes(columnLetters) {
+  var indexes = [];
+  for (var i = 0; i < columnLetters.length; i++) {
+    var letter = columnLetters[i].toString().trim().toUpperCase();
+    if (!/^[A-Z]$/.test(letter)) {
+      throw new Error('Invalid key column: ' + columnLetters[i]);
+    }
+    indexes.push(letter.charCodeAt(0) - 65);
+  }
+  return indexes;
+}
+
+/**
+ * Reads the bookings of a primary or split tab for reconciliation
+ * @param {Array} sourceData - Values of the tab (first row is the header)
+ * @param {Array} keyColumns - Zero-based indexes of the columns identifying a booking
+ * @return {Object} {entries: [{key, nextDayKey (key of the same booking on the next day), label, date,
+ *   start, end, hours, rowNumber}], skippedRows}
+ */
+function readReconcileEntries(sourceData, keyColumns) {
+  var entries = [];
+  var skippedRows = [];
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var rowData = sourceData[i];
+    var dateValue = rowData[3];  // Column D
+    var start = parseTimeOfDay(rowData[5]);  // Column F
+    var end = parseTimeOfDay(rowData[6]);    // Column G
+    var bookingDate = parseBookingDate(dateValue);
+    
+    if (!bookingDate || start === null || end === null) {
+      if (rowData.join('') !== '') {
+        skippedRows.push(i + 1);
+      }
+      continue;
+    }
+    
+    // Bookings ending at or after midnight
+    if (end <= start) {
+      end += 24;
+    }
+    
+    // Late-night rows continue the previous business day past hour 24
+    if (start < BUSINESS_DAY_CUTOFF_HOUR) {
+      bookingDate = getBusinessDate(bookingDate, start);
+      start += 24;
+      end += 24;
+    }
+    
+    var keyValues = [];
+    for (var k = 0; k < keyColumns.length; k++) {
+      keyValues.push(rowData[keyColumns[k]].toString().trim());
+    }
+    var dateKey = getDateKey(bookingDate.year, bookingDate.monthNum, bookingDate.day);
+    var nextDay = getCalendarDateParts(new Date(bookingDate.year, bookingDate.monthNum - 1, bookingDate.day + 1, 12));
+    
+    entries.push({
+      key: dateKey + '|' + keyValues.join('|'),
+      nextDayKey: getDateKey(nextDay.year, nextDay.monthNum, nextDay.day) + '|' + keyValues.join('|'),
+      label: keyValues.join(' / '),
+      date: getZonedMidnight(bookingDate.year, bookingDate.monthNum, bookingDate.day),
+      start: start,
+      end: end,
+      hours: parseHoursValue(rowData[7]) || 0,
+      rowNumber: i + 1
+    });
+  }
+  
+  return { entries: entries, skippedRows: skippedRows };
+}
+
+/**
+ * Groups split rows back into the bookings they were split from
+ * Rows with the same date and key columns are joined while their time spans
+ * are contiguous. A group is closed early where a primary booking with the
+ * same key ends and another one starts, so back-to-back bookings stay apart.
+ * A group ending at 24:00 is joined with the piece of the same booking that
+ * starts at 00:00 the next day (splitBookingRows dates it D+1 without a cutoff).
+ * @param {Array} splitEntries - Entries of the split tab from readReconcileEntries
+ * @param {Array} primaryEntries - Entries of the primary tab from readReconcileEntries
+ * @return {Array} [{key, label, date, start, end, hours, rowNumbers,
+ *   carriedRowNumbers (rows dated the day after the group's date)}]
+ */
+function groupSplitEntries(splitEntries, primaryEntries) {
+  var toMinutes = function(time) { return Math.round(time * 60); };
+  
+  var primaryStarts = {};
+  var primaryEnds = {};
+  for (var p = 0; p < primaryEntries.length; p++) {
+    primaryStarts[primaryEntries[p].key + '@' + toMinutes(primaryEntries[p].start)] = true;
+    primaryEnds[primaryEntries[p].key + '@' + toMinutes(primaryEntries[p].end)] = true;
+  }
+  
+  var sorted = splitEntries.slice();
+  sorted.sort(function(a, b) {
+    if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+    return a.start - b.start;
+  });
+  
+  var groups = [];
+  var current = null;
+  for (var i = 0; i < sorted.length; i++) {
+    var entry = sorted[i];
+    var boundary = entry.key + '@' + toMinutes(entry.start);
+    var continues = current && current.key === entry.key &&
+                    toMinutes(current.end) === toMinutes(entry.start) &&
+                    !(primaryEnds[boundary] && primaryStarts[boundary]);
+                    
+    if (continues) {
+      current.end = entry.end;
+      current.hours += entry.hours;
+      current.rowNumbers.push(entry.rowNumber);
+    } else {
+      current = {
+        key: entry.key,
+        label: entry.label,
+        date: entry.date,
+        start: entry.start,
+        end: entry.end,
+        hours: entry.hours,
+        rowNumbers: [entry.rowNumber],
+        nextDayKey: entry.nextDayKey,
+        carriedRowNumbers: []
+      };
+      groups.push(current);
+    }
+  }
+  
+  // Join bookings that cross midnight with their piece dated the next day
+  var groupsStartingAtMidnight = {};
+  for (var g = 0; g < groups.length; g++) {
+    if (toMinutes(groups[g].start) === 0 && !groupsStartingAtMidnight[groups[g].key]) {
+      groupsStartingAtMidnight[groups[g].key] = groups[g];
+    }
+  }
+  
+  var joinedGroups = [];
+  for (var g = 0; g < groups.length; g++) {
+    var group = groups[g];
+    var next = toMinutes(group.end) === 24 * 60 ? groupsStartingAtMidnight[group.nextDayKey] : null;
+    if (next && !next.joined && !(primaryEnds[group.key + '@' + 24 * 60] && primaryStarts[group.nextDayKey + '@0'])) {
+      group.end = 24 + next.end;
+      group.hours += next.hours;
+      group.rowNumbers = group.rowNumbers.concat(next.rowNumbers);
+      group.carriedRowNumbers = next.rowNumbers.slice();
+      next.joined = true;
+    }
+  }
+  for (var g = 0; g < groups.length; g++) {
+    if (!groups[g].joined) {
+      joinedGroups.push(groups[g]);
+    }
+  }
+  
+  return joinedGroups;
+}
+
+/**
+ * Matches primary bookings to the split groups of the same booking
+ * @param {Array} primaryData - Values of the primary tab (e.g., [MMYY]e)
+ * @param {Array} splitData - Values of the split tab (e.g., [MMYY]e_2)
+ * @param {Array} keyColumns - Zero-based indexes of the columns identifying a booking
+ * @return {Object} {primaryCount, splitCount, matched, missing, extra, mismatched,
+ *   skippedPrimaryRows, skippedSplitRows, discrepancies: [{issue, primary, split}]}
+ */
+function reconcileBookingPair(primaryData, splitData, keyColumns) {
+  var primaryRead = readReconcileEntries(primaryData, keyColumns);
+  var splitRead = readReconcileEntries(splitData, keyColumns);
+  var primaryEntries = primaryRead.entries;
+  var groups = groupSplitEntries(splitRead.entries, primaryEntries);
+  
+  var result = {
+    primaryCount: primaryEntries.length,
+    splitCount: groups.length,
+    matched: 0,
+    missing: 0,
+    extra: 0,
+    mismatched: 0,
+    skippedPrimaryRows: primaryRead.skippedRows,
+    skippedSplitRows: splitRead.skippedRows,
+    discrepancies: []
+  };
+  
+  // Index split groups by key and exact time span
+  var spanKey = function(item) { return item.key + '@' + Math.round(item.start * 60) + '-' + Math.round(item.end * 60); };
+  var groupsBySpan = {};
+  for (var g = 0; g < groups.length; g++) {
+    var groupSpan = spanKey(groups[g]);
+    if (!groupsBySpan[groupSpan]) groupsBySpan[groupSpan] = [];
+    groupsBySpan[groupSpan].push(groups[g]);
+  }
+  
+  var usedGroups = [];
+  var unmatchedPrimary = [];
+  
+  // First pass: same booking and same time span
+  for (var p = 0; p < primaryEntries.length; p++) {
+    var primary = primaryEntries[p];
+    var candidates = groupsBySpan[spanKey(primary)];
+    if (!candidates || candidates.length === 0) {
+      unmatchedPrimary.push(primary);
+      continue;
+    }
+    
+    var group = candidates.shift();
+    usedGroups.push(group);
+    if (Math.abs(primary.hours - group.hours) > 0.001) {
+      result.mismatched++;
+      result.discrepancies.push({ issue: 'Hours mismatch', primary: primary, split: group });
+    } else {
+      result.matched++;
+    }
+  }
+  
+  // Second pass: same booking with an overlapping but different time span
+  var remainingGroups = groups.filter(function(item) { return usedGroups.indexOf(item) < 0; });
+  for (var u = 0; u < unmatchedPrimary.length; u++) {
+    var primary = unmatchedPrimary[u];
+    var overlapIndex = -1;
+    for (var r = 0; r < remainingGroups.length; r++) {
+      var candidate = remainingGroups[r];
+      if (candidate.key === primary.key && candidate.start < primary.end && primary.start < candidate.end) {
+        overlapIndex = r;
+        break;
+      }
+    }
+    
+    if (overlapIndex >= 0) {
+      result.mismatched++;
+      result.discrepancies.push({ issue: 'Hours mismatch', primary: primary, split: remainingGroups[overlapIndex] });
+      remainingGroups.splice(overlapIndex, 1);
+    } else {
+      result.missing++;
+      result.discrepancies.push({ issue: 'Missing from split tab', primary: primary, split: null });
+    }
+  }
+  
+  for (var r = 0; r < remainingGroups.length; r++) {
+    result.extra++;
+    result.discrepancies.push({ issue: 'Extra in split tab', primary: null, split: remainingGroups[r] });
+  }
+  
+  return result;
+}
+
+/**
+ * Reconciles the primary and split tabs of a month booking by booking
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Array} bookingTypes - Optional. Pair names to check ('e', 'i', 'na'); defaults to all
+ * @param {Array} keyColumns - Optional. Column letters identifying a booking besides
+ *   its date; defaults to RECONCILE_KEY_COLUMNS
+ * @return {Object} {monthDigits, keyColumns (the column letters used), allReconciled,
+ *   pairs: {e: {primaryTab, secondaryTab, ...}}, results}
+ * @throws {Error} If a key column is invalid or lies past the last column of a tab
+ */
+function reconcileMonthTabs(monthDigits, bookingTypes, keyColumns) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  keyColumns = keyColumns || RECONCILE_KEY_COLUMNS;
+  var keyIndexes = columnLettersToIndexes(keyColumns);
+  var pairNames = ['e', 'i', 'na'];
+  
+  var reconciliation = {
+    monthDigits: monthDigits,
+    keyColumns: keyIndexes.map(function(index) { return String.fromCharCode(65 + index); }),
+    allReconciled: true,
+    pairs: {},
+    results: []
+  };
+  
+  for (var i = 0; i < pairNames.length; i++) {
+    var name = pairNames[i];
+    if (bookingTypes && bookingTypes.indexOf(name) < 0) {
+      continue;
+    }
+    
+    var primaryTab = monthDigits + name;
+    var secondaryTab = monthDigits + name + '_2';
+    var primarySheet = spreadsheet.getSheetByName(primaryTab);
+    var secondarySheet = spreadsheet.getSheetByName(secondaryTab);
+    
+    if (!primarySheet || !secondarySheet) {
+      debugLog("Skipping reconciliation of " + name + ": tab missing");
+      reconciliation.results.push(name + " reconciliation: '" + (primarySheet ? secondaryTab : primaryTab) + "' not found");
+      continue;
+    }
+    
+    var primaryData = primarySheet.getDataRange().getValues();
+    var secondaryData = secondarySheet.getDataRange().getValues();
+    checkKeyColumnsInTab(primaryData, keyIndexes, primaryTab);
+    checkKeyColumnsInTab(secondaryData, keyIndexes, secondaryTab);
+    var pairResult = reconcileBookingPair(primaryData, secondaryData, keyIndexes);
+    pairResult.primaryTab = primaryTab;
+    pairResult.secondaryTab = secondaryTab;
+    reconciliation.pairs[name] = pairResult;
+    
+    if (pairResult.discrepancies.length > 0) {
+      reconciliation.allReconciled = false;
+    }
+    reconciliation.results.push(name + " reconciliation: " + pairResult.matched + " matched, " +
+                                pairResult.missing + " missing, " + pairResult.extra + " extra, " +
+                                pairResult.mismatched + " hour mismatches");
+    debugLog("Reconciled " + name, pairResult);
+  }
+  
+  return reconciliation;
+}
+
+/**
+ * Checks that the reconciliation key columns exist in a tab
+ * @param {Array} sourceData - Values of the tab (first row is the header)
+ * @param {Array} keyIndexes - Zero-based indexes of the key columns
+ * @param {string} tabName - Name of the tab (for the error message)
+ * @throws {Error} If a key column lies past the last column of the tab
+ */
+function checkKeyColumnsInTab(sourceData, keyIndexes, tabName) {
+  var width = sourceData.length > 0 ? sourceData[0].length : 0;
+  for (var k = 0; k < keyIndexes.length; k++) {
+    if (keyIndexes[k] >= width) {
+      throw new Error('Key column ' + String.fromCharCode(65 + keyIndexes[k]) + ' is past the last column of ' +
+                      tabName + ' (' + width + ' columns). Check RECONCILE_KEY_COLUMNS or the keyColumns parameter.');
+    }
+  }
+}
+
+/**
+ * Writes the discrepancy tab of a month reconciliation
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} reconciliation - Result of reconcileMonthTabs
+ * @param {string} title - Month title (e.g., "May-25")
+ * @return {string} Name of the written tab
+ */
+function writeReconciliationReport(spreadsheet, reconciliation, title) {
+  var summaryRows = [];
+  var discrepancyRows = [];
+  
+  for (var name in reconciliation.pairs) {
+    var pair = reconciliation.pairs[name];
+    var skippedRows = pair.skippedPrimaryRows.length + pair.skippedSplitRows.length;
+    summaryRows.push([pair.primaryTab + ' / ' + pair.secondaryTab, pair.primaryCount, pair.splitCount,
+                      pair.matched, pair.missing, pair.extra, pair.mismatched, skippedRows]);
+                      
+    for (var d = 0; d < pair.discrepancies.length; d++) {
+      var discrepancy = pair.discrepancies[d];
+      var booking = discrepancy.primary || discrepancy.split;
+      var primaryHours = discrepancy.primary ? discrepancy.primary.hours : 0;
+      var splitHours = discrepancy.split ? discrepancy.split.hours : 0;
+      
+      discrepancyRows.push([
+        name,
+        translateLabel(discrepancy.issue),
+        booking.date,
+        booking.label,
+        discrepancy.primary ? discrepancy.primary.rowNumber : '',
+        discrepancy.primary ? formatTimeOfDay(discrepancy.primary.start) + '-' + formatTimeOfDay(discrepancy.primary.end) : '',
+        discrepancy.primary ? primaryHours : '',
+        discrepancy.split ? discrepancy.split.rowNumbers.join(', ') : '',
+        discrepancy.split ? formatTimeOfDay(discrepancy.split.start) + '-' + formatTimeOfDay(discrepancy.split.end) : '',
+        discrepancy.split ? splitHours : '',
+        splitHours - primaryHours
+      ]);
+    }
+  }
+  
+  var destTabName = formatLabel('{0} Reconciliation', [title]);
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: title + ' Booking Reconciliation',
+    sections: [
+      {
+        heading: 'Summary',
+        headerRow: ['Tabs', 'Primary Bookings', 'Split Bookings', 'Matched', 'Missing', 'Extra',
+                    'Hours Mismatch', 'Unreadable Rows'],
+        rows: summaryRows,
+        emptyMessage: 'No tab pairs found for this month'
+      },
+      {
+        heading: 'Discrepancies',
+        headerRow: ['Pair', 'Issue', 'Date', 'Booking (' + reconciliation.keyColumns.join(', ') + ')',
+                    'Primary Row', 'Primary Time', 'Primary Hours', 'Split Rows', 'Split Time',
+                    'Split Hours', 'Difference'],
+        rows: discrepancyRows,
+        emptyMessage: 'All bookings reconciled',
+        columnFormats: { 3: 'dd-mmm-yy' }
+      }
+    ]
+  });
+  
+  return destTabName;
+}
+
+/**
+ * Sums column H of a booking tab per day of a month
+ * @param {Array} sourceData - Values of the tab (first row is the header)
+ * @param {number} monthNum - Month number (1-12)
+ * @param {number} year - Full year (e.g., 2025)
+ * @param {Object} carriedRows - Optional. Row numbers of split pieces that continue the previous
+ *   day's booking past midnight (see findCarriedSplitRows); they count toward the booking's start day
+ * @return {Object} {byDay: [hours per day, index 0 = day 1], outsideMonth: hours dated outside the month or undated,
+ *   unparseableRows: [{rowNumber, value, hours}] rows whose date could not be read (also counted in outsideMonth)}
+ */
+function sumColumnHByDay(sourceData, monthNum, year, carriedRows) {
+  var daysInMonth = new Date(year, monthNum, 0).getDate();
+  var byDay = [];
+  for (var d = 0; d < daysInMonth; d++) {
+    byDay.push(0);
+  }
+  var outsideMonth = 0;
+  var unparseableRows = [];
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var hours = parseHoursValue(sourceData[i][7]);  // Column H
+    if (hours === null) {
+      continue;
+    }
+    
+    var dateValue = sourceData[i][3];  // Column D
+    var bookingDate = parseBookingDate(dateValue);
+    if (dateValue && !bookingDate) {
+      unparseableRows.push({ rowNumber: i + 1, value: dateValue, hours: hours });
+    }
+    if (bookingDate && carriedRows && carriedRows[i + 1]) {
+      bookingDate = getCalendarDateParts(new Date(bookingDate.year, bookingDate.monthNum - 1, bookingDate.day - 1, 12));
+    } else if (bookingDate) {
+      bookingDate = getBusinessDate(bookingDate, parseTimeOfDay(sourceData[i][5]));
+    }
+    if (bookingDate && bookingDate.year === year && bookingDate.monthNum === monthNum) {
+      byDay[bookingDate.day - 1] += hours;
+    } else {
+      outsideMonth += hours;
+    }
+  }
+  
+  return { byDay: byDay, outsideMonth: outsideMonth, unparseableRows: unparseableRows };
+}
+
+/**
+ * Finds the split rows that continue a booking of the previous day past midnight
+ * @param {Array} primaryData - Values of the primary tab
+ * @param {Array} splitData - Values of the split tab
+ * @return {Object} Map of split tab row number -> true (empty when the key columns are missing)
+ */
+function findCarriedSplitRows(primaryData, splitData) {
+  var keyIndexes = columnLettersToIndexes(RECONCILE_KEY_COLUMNS);
+  var carriedRows = {};
+  var widths = [primaryData.length > 0 ? primaryData[0].length : 0, splitData.length > 0 ? splitData[0].length : 0];
+  if (Math.max.apply(null, keyIndexes) >= Math.min(widths[0], widths[1])) {
+    return carriedRows;
+  }
+  
+  var groups = groupSplitEntries(readReconcileEntries(splitData, keyIndexes).entries,
+                                 readReconcileEntries(primaryData, keyIndexes).entries);
+  for (var g = 0; g < groups.length; g++) {
+    for (var r = 0; r < groups[g].carriedRowNumbers.length; r++) {
+      carriedRows[groups[g].carriedRowNumbers[r]] = true;
+    }
+  }
+  return carriedRows;
+}
+
+/**
+ * Breaks the column H totals of each primary/secondary pair down per day and weekday
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Array} bookingTypes - Optional. Pair names to check ('e', 'i', 'na'); defaults to all
+ * @return {Object} {monthDigits, monthNum, year, pairs: {e: {primaryTab, secondaryTab, primary, secondary,
+ *   primaryByWeekday, secondaryByWeekday, differingDays}}, results}
+ */
+function buildDailyBreakdown(monthDigits, bookingTypes) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var monthNum = parseInt(monthDigits.substring(0, 2), 10);
+  var year = parseInt('20' + monthDigits.substring(2, 4), 10);
+  var dayOfWeekCache = buildDayOfWeekCache(monthNum, year);
+  var pairNames = ['e', 'i', 'na'];
+  
+  var breakdown = {
+    monthDigits: monthDigits,
+    monthNum: monthNum,
+    year: year,
+    pairs: {},
+    results: []
+  };
+  
+  for (var i = 0; i < pairNames.length; i++) {
+    var name = pairNames[i];
+    if (bookingTypes && bookingTypes.indexOf(name) < 0) {
+      continue;
+    }
+    
+    var primaryTab = monthDigits + name;
+    var secondaryTab = monthDigits + name + '_2';
+    var primarySheet = spreadsheet.getSheetByName(primaryTab);
+    var secondarySheet = spreadsheet.getSheetByName(secondaryTab);
+    
+    if (!primarySheet || !secondarySheet) {
+      debugLog("Skipping daily breakdown of " + name + ": tab missing");
+      breakdown.results.push(name + " by day: '" + (primarySheet ? secondaryTab : primaryTab) + "' not found");
+      continue;
+    }
+    
+    var primaryData = primarySheet.getDataRange().getValues();
+    var secondaryData = secondarySheet.getDataRange().getValues();
+    var primary = sumColumnHByDay(primaryData, monthNum, year);
+    var secondary = sumColumnHByDay(secondaryData, monthNum, year, findCarriedSplitRows(primaryData, secondaryData));
+    var primaryByWeekday = [0, 0, 0, 0, 0, 0, 0];
+    var secondaryByWeekday = [0, 0, 0, 0, 0, 0, 0];
+    var differingDays = [];
+    
+    for (var d = 0; d < primary.byDay.length; d++) {
+      var dayOfWeek = dayOfWeekCache[d + 1].dayIndex;
+      primaryByWeekday[dayOfWeek] += primary.byDay[d];
+      secondaryByWeekday[dayOfWeek] += secondary.byDay[d];
+      if (Math.abs(primary.byDay[d] - secondary.byDay[d]) > 0.001) {
+        differingDays.push(d + 1);
+      }
+    }
+    
+    breakdown.pairs[name] = {
+      primaryTab: primaryTab,
+      secondaryTab: secondaryTab,
+      primary: primary,
+      secondary: secondary,
+      primaryByWeekday: primaryByWeekday,
+      secondaryByWeekday: secondaryByWeekday,
+      differingDays: differingDays
+    };
+    
+    var message = name + " by day: " + (differingDays.length === 0 ? "all days match" :
+                  differingDays.length + " day(s) differ (" + differingDays.join(', ') + ")");
+    if (Math.abs(primary.outsideMonth - secondary.outsideMonth) > 0.001) {
+      message += ", hours outside the month / undated differ";
+    }
+    var unparseableCount = primary.unparseableRows.length + secondary.unparseableRows.length;
+    if (unparseableCount > 0) {
+      message += ", " + unparseableCount + " row(s) with unparseable dates";
+    }
+    breakdown.results.push(message);
+  }
+  
+  return breakdown;
+}
+
+/**
+ * Writes the per-day and per-weekday validation tab of a month
+ * Days and weekdays where the primary and secondary totals differ are highlighted.
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} breakdown - Result of buildDailyBreakdown
+ * @param {string} title - Month title (e.g., "May-25")
+ * @return {string} Name of the written tab
+ */
+function writeDailyBreakdownReport(spreadsheet, breakdown, title) {
+  var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  var sections = [];
+  
+  for (var name in breakdown.pairs) {
+    var pair = breakdown.pairs[name];
+    var dayRows = [];
+    var dayHighlights = [];
+    
+    for (var d = 0; d < pair.primary.byDay.length; d++) {
+      var difference = pair.secondary.byDay[d] - pair.primary.byDay[d];
+      var weekday = new Date(breakdown.year, breakdown.monthNum - 1, d + 1).getDay();
+      dayRows.push([getZonedMidnight(breakdown.year, breakdown.monthNum, d + 1), translateLabel(dayNames[weekday]),
+                    pair.primary.byDay[d], pair.secondary.byDay[d], difference]);
+      if (Math.abs(difference) > 0.001) {
+        dayHighlights.push(d);
+      }
+    }
+    
+    // Hours that could not be assigned to a day of the month
+    if (pair.primary.outsideMonth !== 0 || pair.secondary.outsideMonth !== 0) {
+      dayRows.push([translateLabel('Outside month / no date'), '', pair.primary.outsideMonth, pair.secondary.outsideMonth,
+                    pair.secondary.outsideMonth - pair.primary.outsideMonth]);
+      if (Math.abs(pair.secondary.outsideMonth - pair.primary.outsideMonth) > 0.001) {
+        dayHighlights.push(dayRows.length - 1);
+      }
+    }
+    
+    var weekdayRows = [];
+    var weekdayHighlights = [];
+    for (var w = 0; w < 7; w++) {
+      var weekdayDifference = pair.secondaryByWeekday[w] - pair.primaryByWeekday[w];
+      weekdayRows.push([translateLabel(dayNames[w]), pair.primaryByWeekday[w], pair.secondaryByWeekday[w], weekdayDifference]);
+      if (Math.abs(weekdayDifference) > 0.001) {
+        weekdayHighlights.push(w);
+      }
+    }
+    
+    sections.push({
+      heading: pair.primaryTab + ' vs ' + pair.secondaryTab + ' by Day',
+      headerRow: ['Date', 'Weekday', pair.primaryTab + ' Hours', pair.secondaryTab + ' Hours', 'Difference'],
+      rows: dayRows,
+      highlightRows: dayHighlights,
+      columnFormats: { 1: 'dd-mmm-yy' }
+    });
+    sections.push({
+      heading: pair.primaryTab + ' vs ' + pair.secondaryTab + ' by Weekday',
+      headerRow: ['Weekday', pair.primaryTab + ' Hours', pair.secondaryTab + ' Hours', 'Difference'],
+      rows: weekdayRows,
+      highlightRows: weekdayHighlights
+    });
+    
+    // Rows whose date could not be read are listed rather than silently dropped
+    var unparseableRows = [];
+    var tabs = [[pair.primaryTab, pair.primary], [pair.secondaryTab, pair.secondary]];
+    for (var t = 0; t < tabs.length; t++) {
+      for (var u = 0; u < tabs[t][1].unparseableRows.length; u++) {
+        var row = tabs[t][1].unparseableRows[u];
+        unparseableRows.push([tabs[t][0], row.rowNumber, "'" + row.value, row.hours]);
+      }
+    }
+    if (unparseableRows.length > 0) {
+      sections.push({
+        heading: pair.primaryTab + ' / ' + pair.secondaryTab + ' Unparseable Dates',
+        headerRow: ['Tab', 'Row', 'Date Value', 'Hours'],
+        rows: unparseableRows
+      });
+    }
+  }
+  
+  if (sections.length === 0) {
+    sections.push({
+      heading: 'By Day',
+      headerRow: ['Date', 'Weekday', 'Primary Hours', 'Secondary Hours', 'Difference'],
+      rows: [],
+      emptyMessage: 'No tab pairs found for this month'
+    });
+  }
+  
+  var destTabName = formatLabel('{0} Validation', [title]);
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: title + ' Daily Hours Validation',
+    sections: sections
+  });
+  
+  return destTabName;
+}
+
+/**
+ * Checks the rows of one booking tab for data problems
+ * @param {Array} sourceData - Values of the tab (first row is the header)
+ * @param {string} tabName - Name of the tab (for the issue list)
+ * @param {number} monthNum - Month number (1-12) the tab belongs to
+ * @param {number} year - Full year (e.g., 2025)
+ * @return {Array} Issues [{tabName, rowNumber, column, value, reason}]
+ */
+function checkTabDataQuality(sourceData, tabName, monthNum, year) {
+  var issues = [];
+  var addIssue = function(rowNumber, column, value, reason) {
+    issues.push({ tabName: tabName, rowNumber: rowNumber, column: column, value: value, reason: reason });
+  };
+  
+  // Expected columns: D date, F start, G end, H hours
+  var expectedColumns = [
+    { index: 3, letter: 'D', description: 'dates' },
+    { index: 5, letter: 'F', description: 'start times' },
+    { index: 6, letter: 'G', description: 'end times' },
+    { index: 7, letter: 'H', description: 'hours' }
+  ];
+  var width = sourceData.length > 0 ? sourceData[0].length : 0;
+  if (width < 8) {
+    for (var c = 0; c < expectedColumns.length; c++) {
+      if (expectedColumns[c].index >= width) {
+        addIssue('', expectedColumns[c].letter, '', 'Missing column ' + expectedColumns[c].letter +
+                 ' (' + expectedColumns[c].description + ')');
+      }
+    }
+    return issues;
+  }
+  
+  // Header row: a date, time or number there means the column names are missing
+  var header = sourceData[0];
+  for (var c = 0; c < expectedColumns.length; c++) {
+    var headerValue = header[expectedColumns[c].index];
+    if (headerValue === '') {
+      addIssue(1, expectedColumns[c].letter, headerValue, 'Empty header for the ' + expectedColumns[c].description + ' column');
+    } else if (headerValue instanceof Date || typeof headerValue === 'number') {
+      addIssue(1, expectedColumns[c].letter, headerValue, 'Header holds a value instead of a column name (header row missing?)');
+    }
+  }
+  
+  // Filled and readable cells per expected column, to spot columns in the wrong place
+  var filledCounts = { D: 0, F: 0, G: 0, H: 0 };
+  var parsedCounts = { D: 0, F: 0, G: 0, H: 0 };
+  // Time cells hold a fraction of a day, so numbers such as 1.5 are hours in the wrong column
+  var readTimeCell = function(value) {
+    return typeof value === 'number' && (value < 0 || value >= 1) ? null : parseTimeOfDay(value);
+  };
+  var countCell = function(letter, value, parsed) {
+    if (value !== '' && value !== null) {
+      filledCounts[letter]++;
+      if (parsed !== null) {
+        parsedCounts[letter]++;
+      }
+    }
+  };
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var rowData = sourceData[i];
+    var rowNumber = i + 1;
+    
+    // Skip empty rows
+    if (rowData.join('') === '') {
+      continue;
+    }
+    
+    // Column D: date within the month (late-night rows count toward the previous business day)
+    var dateValue = rowData[3];
+    var bookingDate = parseBookingDate(dateValue);
+    countCell('D', dateValue, bookingDate);
+    if (bookingDate) {
+      bookingDate = getBusinessDate(bookingDate, parseTimeOfDay(rowData[5]));
+    }
+    if (!dateValue) {
+      addIssue(rowNumber, 'D', dateValue, 'Missing date');
+    } else if (!bookingDate) {
+      addIssue(rowNumber, 'D', dateValue, 'Unparseable date');
+    } else if (bookingDate.year !== year || bookingDate.monthNum !== monthNum) {
+      addIssue(rowNumber, 'D', dateValue, 'Date outside ' + ('0' + monthNum).slice(-2) + '/' + year);
+    }
+    
+    // Columns F and G: start and end times
+    var start = readTimeCell(rowData[5]);
+    var end = readTimeCell(rowData[6]);
+    countCell('F', rowData[5], start);
+    countCell('G', rowData[6], end);
+    if (start === null) {
+      addIssue(rowNumber, 'F', rowData[5], rowData[5] === '' ? 'Missing start time' : 'Unparseable start time');
+    }
+    if (end === null) {
+      addIssue(rowNumber, 'G', rowData[6], rowData[6] === '' ? 'Missing end time' : 'Unparseable end time');
+    }
+    
+    // Column H: numeric hours
+    var hours = parseHoursValue(rowData[7]);
+    countCell('H', rowData[7], hours);
+    if (hours === null) {
+      addIssue(rowNumber, 'H', rowData[7], rowData[7] === '' ? 'Missing hours' : 'Non-numeric hours');
+    } else if (typeof rowData[7] !== 'number') {
+      addIssue(rowNumber, 'H', rowData[7], 'Hours stored as text, coerced to ' + hours);
+    } else if (hours <= 0) {
+      addIssue(rowNumber, 'H', rowData[7], 'Hours not positive');
+    }
+  }
+  
+  // A column where most filled cells cannot be read is probably shifted or swapped
+  var columnIssues = [];
+  for (var c = 0; c < expectedColumns.length; c++) {
+    var letter = expectedColumns[c].letter;
+    var unreadable = filledCounts[letter] - parsedCounts[letter];
+    if (filledCounts[letter] > 0 && unreadable * 2 > filledCounts[letter]) {
+      columnIssues.push({ tabName: tabName, rowNumber: '', column: letter, value: header[expectedColumns[c].index],
+                          reason: 'Column ' + letter + ' does not hold ' + expectedColumns[c].description + ' in ' +
+                                  unreadable + ' of ' + filledCounts[letter] + ' rows (check the column order)' });
+    }
+  }
+  
+  return columnIssues.concat(issues);
+}
+
+/**
+ * Checks the data quality of all booking tabs of a month
+ * ([MMYY]e, e_2, i, i_2, na, na_2)
+ * Also reports a spreadsheet/script time zone mismatch and the month's daylight saving days.
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @return {Object} {monthDigits, tabs: [{tabName, found, rowCount, issueCount}], issues, results,
+ *   timeZone: result of checkTimeZoneSettings, clockChangeDays: result of findClockChangeDays}
+ */
+function checkMonthDataQuality(monthDigits) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var monthNum = parseInt(monthDigits.substring(0, 2), 10);
+  var year = parseInt('20' + monthDigits.substring(2, 4), 10);
+  var suffixes = ['e', 'e_2', 'i', 'i_2', 'na', 'na_2'];
+  
+  var quality = {
+    monthDigits: monthDigits,
+    tabs: [],
+    issues: [],
+    results: [],
+    timeZone: checkTimeZoneSettings(),
+    clockChangeDays: findClockChangeDays(monthNum, year)
+  };
+  
+  if (!quality.timeZone.matches) {
+    quality.results.push("Time zone: " + quality.timeZone.message);
+  }
+  
+  for (var i = 0; i < suffixes.length; i++) {
+    var tabName = monthDigits + suffixes[i];
+    var sheet = spreadsheet.getSheetByName(tabName);
+    if (!sheet) {
+      debugLog("Data quality: tab not found " + tabName);
+      quality.tabs.push({ tabName: tabName, found: false, rowCount: 0, issueCount: 0 });
+      continue;
+    }
+    
+    var sourceData = sheet.getDataRange().getValues();
+    var tabIssues = checkTabDataQuality(sourceData, tabName, monthNum, year);
+    quality.issues = quality.issues.concat(tabIssues);
+    quality.tabs.push({ tabName: tabName, found: true, rowCount: Math.max(sourceData.length - 1, 0), issueCount: tabIssues.length });
+    quality.results.push(tabName + ": " + (tabIssues.length === 0 ? "no issues" : tabIssues.length + " issue(s)"));
+  }
+  
+  return quality;
+}
+
+/**
+ * Writes the data issues tab of a month
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} quality - Result of checkMonthDataQuality
+ * @param {string} title - Month title (e.g., "May-25")
+ * @return {string} Name of the written tab
+ */
+function writeDataQualityReport(spreadsheet, quality, title) {
+  var tabRows = [];
+  for (var t = 0; t < quality.tabs.length; t++) {
+    var tab = quality.tabs[t];
+    tabRows.push([tab.tabName, translateLabel(tab.found ? 'Yes' : 'No'), tab.rowCount, tab.issueCount]);
+  }
+  
+  var issueRows = [];
+  for (var i = 0; i < quality.issues.length; i++) {
+    var issue = quality.issues[i];
+    issueRows.push([issue.tabName, issue.rowNumber, issue.column,
+                    issue.value instanceof Date ? issue.value : (issue.value === '' ? '' : "'" + issue.value),
+                    translateLabel(issue.reason)]);
+  }
+  
+  var timeZoneRows = [
+    [translateLabel('Spreadsheet time zone'), quality.timeZone.spreadsheetTimeZone],
+    [translateLabel('Script time zone'), quality.timeZone.scriptTimeZone],
+    [translateLabel('Status'), quality.timeZone.matches ? translateLabel('OK') : translateLabel(quality.timeZone.message)]
+  ];
+  for (var day in quality.clockChangeDays) {
+    var hourLengths = quality.clockChangeDays[day];
+    var changedHours = [];
+    // Hours after midnight are listed under the calendar day they fall on
+    for (var hour = 0; hour < 24; hour++) {
+      if (hourLengths[hour] !== 1) {
+        changedHours.push(formatLabel(hourLengths[hour] === 0 ? '{0} skipped' : '{0} repeated', [formatTimeOfDay(hour)]));
+      }
+    }
+    if (changedHours.length > 0) {
+      timeZoneRows.push([formatLabel('Daylight saving change on day {0}', [day]), changedHours.join(', ')]);
+    }
+  }
+  
+  var destTabName = formatLabel('{0} Data Issues', [title]);
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: title + ' Data Quality',
+    sections: [
+      {
+        heading: 'Tabs Checked',
+        headerRow: ['Tab', 'Found', 'Rows', 'Issues'],
+        rows: tabRows
+      },
+      {
+        heading: 'Time Zone',
+        headerRow: ['Setting', 'Value'],
+        rows: timeZoneRows,
+        highlightRows: quality.timeZone.matches ? [] : [2]
+      },
+      {
+        heading: 'Issues',
+        headerRow: ['Tab', 'Row', 'Column', 'Value', 'Reason'],
+        rows: issueRows,
+        emptyMessage: 'No data issues found'
+      }
+    ]
+  });
+  
+  return destTabName;
+}
+
+/**
+ * Checks that every row of a split tab covers part of a single clock hour
+ * and that its hours (H) equal end (G) minus start (F)
+ * @param {Array} sourceData - Values of the split tab (first row is the header)
+ * @param {string} tabName - Name of the tab (for the violation list)
+ * @return {Object} {checkedRows, violations: [{tabName, rowNumber, start, end, hours, reason}]}
+ */
+function checkSplitRows(sourceData, tabName) {
+  var violations = [];
+  var checkedRows = 0;
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var rowData = sourceData[i];
+    if (rowData.join('') === '') {
+      continue;
+    }
+    checkedRows++;
+    
+    var start = parseTimeOfDay(rowData[5]);  // Column F
+    var end = parseTimeOfDay(rowData[6]);    // Column G
+    var hours = parseHoursValue(rowData[7]); // Column H
+    var violation = {
+      tabName: tabName,
+      rowNumber: i + 1,
+      start: rowData[5],
+      end: rowData[6],
+      hours: rowData[7],
+      reason: null
+    };
+    
+    if (start === null || end === null) {
+      violation.reason = 'Unparseable start or end time';
+      violations.push(violation);
+      continue;
+    }
+    
+    // A split ending at midnight
+    if (end === 0 && start > 0) {
+      end = 24;
+    }
+    
+    if (end <= start) {
+      violation.reason = 'End time not after start time';
+    } else if (end - Math.floor(start) > 1.0001) {
+      violation.reason = 'Spans more than one clock hour (' + formatTimeOfDay(start) + '-' + formatTimeOfDay(end) + ')';
+    } else if (hours === null) {
+      violation.reason = 'Non-numeric hours';
+    } else if (Math.abs((end - start) - hours) > 0.001) {
+      violation.reason = 'Hours ' + hours + ' do not match end minus start (' + Math.round((end - start) * 100) / 100 + ')';
+    }
+    
+    if (violation.reason) {
+      violations.push(violation);
+    }
+  }
+  
+  return { checkedRows: checkedRows, violations: violations };
+}
+
+/**
+ * Validates the split tabs of a month ([MMYY]e_2, i_2, na_2)
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Array} bookingTypes - Optional. Pair names to check ('e', 'i', 'na'); defaults to all
+ * @return {Object} {monthDigits, allValid, tabs: [{tabName, found, checkedRows, violationCount}], violations, results}
+ */
+function validateSplitIntegrity(monthDigits, bookingTypes) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var pairNames = ['e', 'i', 'na'];
+  
+  var integrity = {
+    monthDigits: monthDigits,
+    allValid: true,
+    tabs: [],
+    violations: [],
+    results: []
+  };
+  
+  for (var i = 0; i < pairNames.length; i++) {
+    if (bookingTypes && bookingTypes.indexOf(pairNames[i]) < 0) {
+      continue;
+    }
+    
+    var tabName = monthDigits + pairNames[i] + '_2';
+    var sheet = spreadsheet.getSheetByName(tabName);
+    if (!sheet) {
+      debugLog("Split integrity: tab not found " + tabName);
+      integrity.tabs.push({ tabName: tabName, found: false, checkedRows: 0, violationCount: 0 });
+      continue;
+    }
+    
+    var tabResult = checkSplitRows(sheet.getDataRange().getValues(), tabName);
+    integrity.violations = integrity.violations.concat(tabResult.violations);
+    integrity.tabs.push({ tabName: tabName, found: true, checkedRows: tabResult.checkedRows,
+                          violationCount: tabResult.violations.length });
+    if (tabResult.violations.length > 0) {
+      integrity.allValid = false;
+    }
+    integrity.results.push(tabName + " split integrity: " + tabResult.checkedRows + " rows, " +
+                           (tabResult.violations.length === 0 ? "all valid" : tabResult.violations.length + " violation(s)"));
+  }
+  
+  return integrity;
+}
+
+/**
+ * Writes the split integrity tab of a month
+ * @param {Spreadsheet} spreadsheet - The active spreadsheet
+ * @param {Object} integrity - Result of validateSplitIntegrity
+ * @param {string} title - Month title (e.g., "May-25")
+ * @return {string} Name of the written tab
+ */
+function writeSplitIntegrityReport(spreadsheet, integrity, title) {
+  var tabRows = [];
+  for (var t = 0; t < integrity.tabs.length; t++) {
+    var tab = integrity.tabs[t];
+    tabRows.push([tab.tabName, translateLabel(tab.found ? 'Yes' : 'No'), tab.checkedRows, tab.violationCount]);
+  }
+  
+  var violationRows = [];
+  for (var v = 0; v < integrity.violations.length; v++) {
+    var violation = integrity.violations[v];
+    violationRows.push([violation.tabName, violation.rowNumber, violation.start, violation.end,
+                        violation.hours, translateLabel(violation.reason)]);
+  }
+  
+  var destTabName = formatLabel('{0} Split Integrity', [title]);
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: title + ' Split Integrity',
+    sections: [
+      {
+        heading: 'Tabs Checked',
+        headerRow: ['Tab', 'Found', 'Rows', 'Violations'],
+        rows: tabRows
+      },
+      {
+        heading: 'Violations',
+        headerRow: ['Tab', 'Row', 'Start (F)', 'End (G)', 'Hours (H)', 'Reason'],
+        rows: violationRows,
+        emptyMessage: 'Every split row covers one clock hour and matches its hours'
+      }
+    ]
+  });
+  
+  return destTabName;
+}
+
+/**
+ * Gets the email of the user running the script
+ * @return {string} Email address, or "unknown" when it is not available (e.g., in triggers)
+ */
+function getRunningUser() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'unknown';
+  } catch (e) {
+    debugLog("Could not get running user: " + e.toString());
+    return 'unknown';
+  }
+}
+
+/**
+ * Appends one validation or report run to the Audit Log tab, creating the tab if needed
+ * Failures are logged and never interrupt the run being audited.
+ * @param {Object} entry - {monthDigits, action, bookingTypes (pairs checked), tabData
+ *   (per pair {primarySum, secondarySum, isValid}), result, tabName}
+ */
+function appendAuditLog(entry) {
+  try {
+    var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    var logSheet = spreadsheet.getSheetByName(translateLabel(AUDIT_LOG_TAB_NAME));
+    var pairNames = ['e', 'i', 'na'];
+    
+    if (!logSheet) {
+      debugLog("Creating audit log tab");
+      logSheet = spreadsheet.insertSheet(translateLabel(AUDIT_LOG_TAB_NAME));
+      var header = translateLabels(['Timestamp', 'User', 'Month', 'Action']);
+      for (var p = 0; p < pairNames.length; p++) {
+        header.push(formatLabel('{0} Primary', [pairNames[p]]), formatLabel('{0} Secondary', [pairNames[p]]),
+                    formatLabel('{0} Status', [pairNames[p]]));
+      }
+      header.push(translateLabel('Result'), translateLabel('Tab'));
+      logSheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+      logSheet.getRange(1, 3, logSheet.getMaxRows(), 1).setNumberFormat('@'); // Keep MMYY leading zeros
+      logSheet.setFrozenRows(1);
+    }
+    
+    var row = [new Date(), getRunningUser(), entry.monthDigits, entry.action];
+    for (var p = 0; p < pairNames.length; p++) {
+      var pair = entry.tabData[pairNames[p]];
+      if (pair) {
+        row.push(pair.primarySum, pair.secondarySum, pair.isValid ? 'PASS' : 'FAIL');
+      } else if (!entry.bookingTypes || entry.bookingTypes.indexOf(pairNames[p]) >= 0) {
+        row.push('', '', 'MISSING');
+      } else {
+        row.push('', '', '');
+      }
+    }
+    row.push(entry.result, entry.tabName || '');
+    
+    logSheet.appendRow(row);
+  } catch (e) {
+    console.log("Could not write audit log: " + e.message);
+  }
+}
+
+/**
+ * Records a created report in the audit log with the totals it compared
+ * @param {string} action - Audit log action (e.g., "Report", "Rollup Report")
+ * @param {Object} report - {destTabName, monthDigits (the title is logged when missing), and either
+ *   typeTotals {e: {primaryTabFound, primaryTotal, splitTotal}} or bookingType ('e' by default),
+ *   primaryTabFound, primaryTotal and splitTotal}
+ */
+function logReportRun(action, report) {
+  var typeTotals = report.typeTotals;
+  if (!typeTotals) {
+    typeTotals = {};
+    typeTotals[report.bookingType || 'e'] = {
+      primaryTabFound: report.primaryTabFound !== false,
+      primaryTotal: report.primaryTotal,
+      splitTotal: report.splitTotal
+    };
+  }
+  
+  var tabData = {};
+  for (var type in typeTotals) {
+    if (typeTotals[type].primaryTabFound) {
+      tabData[type] = {
+        primarySum: typeTotals[type].primaryTotal,
+        secondarySum: typeTotals[type].splitTotal,
+        isValid: Math.abs(typeTotals[type].primaryTotal - typeTotals[type].splitTotal) <= 0.01
+      };
+    }
+  }
+  
+  appendAuditLog({
+    monthDigits: report.monthDigits || report.title,
+    action: action,
+    bookingTypes: Object.keys(typeTotals),
+    tabData: tabData,
+    result: 'Created',
+    tabName: report.destTabName
+  });
+}
+
+/**
+ * Reads the audit log entries of one month in chronological order
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @return {Array} [{timestamp, user, action, pairs: {e: {primarySum, secondarySum, status}}, result, tabName}]
+ */
+function getValidationHistory(monthDigits) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var logSheet = spreadsheet.getSheetByName(translateLabel(AUDIT_LOG_TAB_NAME));
+  var pairNames = ['e', 'i', 'na'];
+  var history = [];
+  
+  if (!logSheet) {
+    return history;
+  }
+  
+  var values = logSheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (('000' + row[2]).slice(-4) !== monthDigits) {
+      continue;
+    }
+    
+    var pairs = {};
+    for (var p = 0; p < pairNames.length; p++) {
+      pairs[pairNames[p]] = {
+        primarySum: row[4 + p * 3],
+        secondarySum: row[5 + p * 3],
+        status: row[6 + p * 3]
+      };
+    }
+    
+    history.push({
+      timestamp: row[0],
+      user: row[1],
+      action: row[3],
+      pairs: pairs,
+      result: row[13],
+      tabName: row[14]
+    });
+  }
+  
+  return history;
+}
+
+/**
+ * showValidationHistory Function
+ *
+ * Prompts for a month and writes how its validation status changed over
+ * time (e.g. after data corrections) to a "Mon-YY Audit History" tab.
+ */
+function showValidationHistory() {
+  console.log("Starting showValidationHistory function");
+  
+  // Get UI instance
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Prompt for month
+  var response = ui.prompt('Validation History', 'Please enter month (4 digits, e.g., 0525):', ui.ButtonSet.OK_CANCEL);
+  
+  // Check if user cancelled
+  if (response.getSelectedButton() != ui.Button.OK) {
+    debugLog("User cancelled the operation");
+    return;
+  }
+  
+  var monthDigits = response.getResponseText().trim();
+  if (!isValidMonthDigits(monthDigits)) {
+    ui.alert('Invalid Input', 'Please enter exactly 4 digits in MMYY format.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  var history = getValidationHistory(monthDigits);
+  if (history.length === 0) {
+    ui.alert('Validation History', 'No audit entries found for month ' + monthDigits + '.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  var pairNames = ['e', 'i', 'na'];
+  var historyRows = [];
+  var changedRows = [];
+  var lastStatus = {};
+  
+  for (var h = 0; h < history.length; h++) {
+    var entry = history[h];
+    var row = [entry.timestamp, entry.user, translateLabel(entry.action)];
+    var changes = [];
+    
+    for (var p = 0; p < pairNames.length; p++) {
+      var name = pairNames[p];
+      var pair = entry.pairs[name];
+      row.push(pair.primarySum === '' ? translateLabel(pair.status) :
+               formatLabel('{0} / {1} {2}', [pair.primarySum, pair.secondarySum, pair.status]));
+               
+      if (pair.status === '') {
+        continue;
+      }
+      if (lastStatus[name] && lastStatus[name] !== pair.status) {
+        changes.push(formatLabel('{0}: {1} -> {2}', [name, lastStatus[name], pair.status]));
+      }
+      lastStatus[name] = pair.status;
+    }
+    
+    row.push(translateLabel(entry.result), entry.tabName, changes.join(', '));
+    if (changes.length > 0) {
+      changedRows.push(historyRows.length);
+    }
+    historyRows.push(row);
+  }
+  
+  var title = MONTH_NAMES[parseInt(monthDigits.substring(0, 2), 10) - 1] + '-' + monthDigits.substring(2);
+  var destTabName = formatLabel('{0} Audit History', [title]);
+  
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: title + ' Validation History',
+    sections: [
+      {
+        heading: 'Runs (primary / secondary sums and status per pair)',
+        headerRow: ['Timestamp', 'User', 'Action', 'e', 'i', 'na', 'Result', 'Tab', 'Status Change'],
+        rows: historyRows,
+        highlightRows: changedRows,
+        highlightColor: '#F9E79F',
+        columnFormats: { 1: 'dd-mmm-yy hh:mm' }
+      }
+    ]
+  });
+  
+  console.log("Completed showValidationHistory function");
+  
+  ui.alert('Success', history.length + ' run(s) for month ' + monthDigits + ' written to tab: ' + destTabName, ui.ButtonSet.OK);
+}
+
+/**
+ * Finds the booking types of a month that have a given tab
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {string} tabSuffix - Optional. '_2' (default) for the split tabs, '' for the primary tabs
+ * @return {Array} Booking types ('e', 'i', 'na') with an [MMYY]type[tabSuffix] tab
+ */
+function findMonthBookingTypes(monthDigits, tabSuffix) {
+  tabSuffix = tabSuffix === undefined ? '_2' : tabSuffix;
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var bookingTypes = ['e', 'i', 'na'];
+  var found = [];
+  
+  for (var i = 0; i < bookingTypes.length; i++) {
+    if (spreadsheet.getSheetByName(monthDigits + bookingTypes[i] + tabSuffix)) {
+      found.push(bookingTypes[i]);
+    }
+  }
+  
+  return found;
+}
+
+/**
+ * Builds the combined hours/days report of several booking types for one month
+ * The grid holds the stacked total of all types; a By Booking Type table below
+ * the report shows per-type and total hours per slot against the same capacity
+ * from calculateAvailableHours.
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {Object} options - Optional. {bookingTypes (defaults to every type with a source tab), destTabName,
+ *   slotMinutes, proportional}
+ * @return {Object} Report result as generateHoursDaysReport, plus bookingTypes and
+ *   typeTotals {e: {primaryTabFound, primaryTotal, splitTotal}}
+ * @throws {Error} If the month has none of the source tabs
+ */
+function generateCombinedHoursReport(monthDigits, options) {
+  options = options || {};
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var bookingTypes = options.bookingTypes || findMonthBookingTypes(monthDigits, options.proportional ? '' : '_2');
+  
+  if (bookingTypes.length === 0) {
+    throw new Error(options.proportional ?
+      'No primary tabs (e, i, na) found for month ' + monthDigits + '.' :
+      'No split tabs (e_2, i_2, na_2) found for month ' + monthDigits + '.');
+  }
+  
+  // Stack the grids of every booking type
+  var typeData = {};
+  var typeTotals = {};
+  var combined = null;
+  
+  for (var t = 0; t < bookingTypes.length; t++) {
+    var bookingType = bookingTypes[t];
+    var reportData = buildMonthReportData(monthDigits, bookingType, options);
+    typeData[bookingType] = reportData;
+    typeTotals[bookingType] = {
+      primaryTabFound: reportData.primaryTabFound,
+      primaryTotal: reportData.primaryTotal,
+      splitTotal: reportData.splitTotal
+    };
+    
+    if (!combined) {
+      combined = {
+        monthDigits: monthDigits,
+        title: reportData.title,
+        columns: reportData.columns,
+        timeRows: reportData.timeRows,
+        dataGrid: createEmptyGrid(reportData.timeRows.length, reportData.columns.length),
+        availableGrid: reportData.availableGrid,
+        dayOpeningHours: reportData.dayOpeningHours,
+        maxHoursPerHour: reportData.maxHoursPerHour,
+        slotMinutes: reportData.slotMinutes,
+        primaryTabFound: true,
+        primaryLabel: 'Total ' + bookingTypes.join('+').toUpperCase() + ' Hours',
+        splitLabel: reportData.splitLabel,
+        primaryTotal: 0,
+        splitTotal: 0,
+        processedCount: 0,
+        cellBookings: {},
+        unplacedBookings: []
+      };
+    }
+    
+    for (var r = 0; r < combined.timeRows.length; r++) {
+      for (var c = 0; c < combined.columns.length; c++) {
+        combined.dataGrid[r][c] += reportData.dataGrid[r][c];
+      }
+    }
+    for (var cellKey in reportData.cellBookings) {
+      combined.cellBookings[cellKey] = (combined.cellBookings[cellKey] || []).concat(reportData.cellBookings[cellKey]);
+    }
+    combined.unplacedBookings = combined.unplacedBookings.concat(reportData.unplacedBookings);
+    combined.primaryTabFound = combined.primaryTabFound && reportData.primaryTabFound;
+    combined.primaryTotal += reportData.primaryTotal;
+    combined.splitTotal += reportData.splitTotal;
+    combined.processedCount += reportData.processedCount;
+  }
+  
+  combined.destTabName = options.destTabName || getDefaultReportTabName(combined.title, 'all');
+  combined.capacityConflicts = findCapacityConflicts(combined);
+  combined.typeTotals = typeTotals;
+  combined.auditAction = 'Combined Report';
+  var destSheet = writeHoursDaysReport(spreadsheet, combined);
+  
+  // Per-type and total hours per slot
+  var typeRows = [];
+  var columnTotals = [];
+  for (var t = 0; t <= bookingTypes.length + 1; t++) {
+    columnTotals.push(0);
+  }
+  
+  for (var r = 0; r < combined.timeRows.length; r++) {
+    var typeRow = ["'" + formatTimeOfDay(combined.timeRows[r])];
+    var slotTotal = 0;
+    
+    for (var t = 0; t < bookingTypes.length; t++) {
+      var typeHours = 0;
+      for (var c = 0; c < combined.columns.length; c++) {
+        typeHours += typeData[bookingTypes[t]].dataGrid[r][c];
+      }
+      typeRow.push(typeHours);
+      columnTotals[t] += typeHours;
+      slotTotal += typeHours;
+    }
+    
+    var slotAvailable = 0;
+    for (var c = 0; c < combined.columns.length; c++) {
+      slotAvailable += combined.availableGrid[r][c];
+    }
+    
+    typeRow.push(slotTotal, slotAvailable, slotAvailable > 0 ? slotTotal / slotAvailable : '');
+    columnTotals[bookingTypes.length] += slotTotal;
+    columnTotals[bookingTypes.length + 1] += slotAvailable;
+    typeRows.push(typeRow);
+  }
+  
+  var totalsRow = [translateLabel('Total')].concat(columnTotals);
+  var grandAvailable = columnTotals[bookingTypes.length + 1];
+  totalsRow.push(grandAvailable > 0 ? columnTotals[bookingTypes.length] / grandAvailable : '');
+  typeRows.push(totalsRow);
+  
+  var typeHeader = ['Hour'];
+  for (var t = 0; t < bookingTypes.length; t++) {
+    typeHeader.push(bookingTypes[t] + ' Hours');
+  }
+  typeHeader.push('Total Hours', 'Available Hours', '% Utilization');
+  
+  var typeStartRow = destSheet.getLastRow() + 2;
+  writeReportListSection(destSheet, typeStartRow, 'By Booking Type', typeHeader, typeRows);
+  destSheet.getRange(typeStartRow + 2, typeHeader.length, typeRows.length, 1).setNumberFormat('0.0%').setFontWeight('bold');
+  destSheet.getRange(typeStartRow + 1 + typeRows.length, 1, 1, typeHeader.length).setFontWeight('bold');
+  
+  console.log("Combined report for " + monthDigits + " (" + bookingTypes.join(', ') + ") written to " + combined.destTabName);
+  
+  return {
+    monthDigits: monthDigits,
+    destTabName: combined.destTabName,
+    bookingTypes: bookingTypes,
+    typeTotals: typeTotals,
+    primaryTabFound: combined.primaryTabFound,
+    primaryTotal: combined.primaryTotal,
+    splitTotal: combined.splitTotal,
+    totalsMatch: Math.abs(combined.primaryTotal - combined.splitTotal) <= 0.01,
+    processedCount: combined.processedCount,
+    capacityConflicts: combined.capacityConflicts.length,
+    unplacedCount: combined.unplacedBookings.length
+  };
+}
+
+/**
+ * splitBookingTabs Function
+ *
+ * Generates the [MMYY]e_2, i_2 and na_2 tabs from the primary booking tabs.
+ * Without parameters the Month Hours sidebar opens with the split action
+ * selected; with parameters it runs headless (see runSplitBookingTabs).
+ * @param {Object|string} params - Optional. Month and options as for runSplitBookingTabs
+ * @return {Object} Split result (only when params are given)
+ */
+function splitBookingTabs(params) {
+  console.log("Starting splitBookingTabs function");
+  
+  if (!params) {
+    showMonthHoursSidebar('split');
+    return;
+  }
+  
+  return runSplitBookingTabs(params);
+}
+
+/**
+ * Helper function to format minutes since midnight as a split tab time
+ * @param {number} minutes - Minutes since midnight (1440 is the following midnight)
+ * @return {string} Time in the format of the split tabs (e.g., "9:30 am")
+ */
+function formatSplitTime(minutes) {
+  var hour = Math.floor(minutes / 60) % 24;
+  var suffix = hour < 12 ? 'am' : 'pm';
+  var displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return displayHour + ':' + ('0' + (minutes % 60)).slice(-2) + ' ' + suffix;
+}
+
+/**
+ * Splits the bookings of a primary tab at clock-hour boundaries
+ * Every piece keeps all columns of its booking; only start (F), end (G) and
+ * hours (H) change, H becoming the fraction of the hour the piece covers.
+ * Bookings ending before they start run past midnight; their pieces after
+ * midnight are dated the next day (D).
+ * Rows whose times cannot be split, or whose hours (H) differ from G - F, are
+ * copied unchanged and reported.
+ * @param {Array} sourceData - Values of the primary tab (first row is the header)
+ * @param {string} tabName - Name of the primary tab (for the unsplit list)
+ * @return {Object} {rows (header first), rowNumbers (source tab row of each row), bookingCount,
+ *   unsplit: [{tabName, rowNumber, start, end, reason}]}
+ */
+function splitBookingRows(sourceData, tabName) {
+  var rows = [sourceData[0]];
+  var rowNumbers = [1];
+  var unsplit = [];
+  var bookingCount = 0;
+  
+  for (var i = 1; i < sourceData.length; i++) {
+    var rowData = sourceData[i];
+    if (rowData.join('') === '') {
+      continue;
+    }
+    bookingCount++;
+    
+    var start = parseTimeOfDay(rowData[5]); // Column F
+    var end = parseTimeOfDay(rowData[6]);   // Column G
+    var reason = null;
+    
+    if (start === null || end === null) {
+      reason = 'Unparseable start or end time';
+    } else {
+      // A booking ending at or after midnight
+      if (end < start) {
+        end += 24;
+      }
+      var bookingDate = parseBookingDate(rowData[3]);
+      var bookedHours = parseHoursValue(rowData[7]); // Column H
+      if (end === start) {
+        reason = 'End time not after start time';
+      } else if (end > 24 && !bookingDate) {
+        reason = 'Runs past midnight without a valid date';
+      } else if (bookedHours !== null && Math.abs(bookedHours - (end - start)) > 0.01) {
+        reason = 'Hours (H) do not match end minus start (G - F)';
+      }
+    }
+    
+    if (reason) {
+      rows.push(rowData.slice());
+      rowNumbers.push(i + 1);
+      unsplit.push({ tabName: tabName, rowNumber: i + 1, start: rowData[5], end: rowData[6], reason: reason });
+      continue;
+    }
+    
+    // Work in whole minutes so the pieces add up exactly
+    var pieceStart = Math.round(start * 60);
+    var endMinutes = Math.round(end * 60);
+    while (pieceStart < endMinutes) {
+      var pieceEnd = Math.min((Math.floor(pieceStart / 60) + 1) * 60, endMinutes);
+      var piece = rowData.slice();
+      if (pieceStart >= 24 * 60) {
+        piece[3] = getZonedMidnight(bookingDate.year, bookingDate.monthNum, bookingDate.day + 1);
+      }
+      piece[5] = formatSplitTime(pieceStart);
+      piece[6] = formatSplitTime(pieceEnd);
+      piece[7] = Math.round((pieceEnd - pieceStart) / 60 * 10000) / 10000;
+      rows.push(piece);
+      rowNumbers.push(i + 1);
+      pieceStart = pieceEnd;
+    }
+  }
+  
+  return { rows: rows, rowNumbers: rowNumbers, bookingCount: bookingCount, unsplit: unsplit };
+}
+
+/**
+ * Headless core of splitBookingTabs - writes the split tabs of a month from
+ * its primary tabs and then compares the column H totals of every pair
+ * Existing split tabs are cleared and rewritten in place.
+ * @param {Object|string} params - Month (see resolveMonthParams), plus optional
+ *   bookingTypes: array of 'e', 'i', 'na' (defaults to every type with a primary tab)
+ * @return {Object} {success, monthDigits, month, year, tabs: [{sourceTab, splitTab, bookingCount, splitRows}],
+ *   unsplit, allValid, validation (see validateMonthTabs), results}
+ * @throws {Error} If the month has none of the requested primary tabs
+ */
+function runSplitBookingTabs(params) {
+  var monthParams = resolveMonthParams(params);
+  var monthDigits = monthParams.monthDigits;
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var bookingTypes = (params && params.bookingTypes) || ['e', 'i', 'na'];
+  debugLog("runSplitBookingTabs for " + monthDigits);
+  
+  var result = {
+    success: true,
+    monthDigits: monthDigits,
+    month: monthParams.month,
+    year: monthParams.year,
+    tabs: [],
+    unsplit: [],
+    results: []
+  };
+  var splitTypes = [];
+  
+  for (var t = 0; t < bookingTypes.length; t++) {
+    var sourceTab = monthDigits + bookingTypes[t];
+    var sourceSheet = spreadsheet.getSheetByName(sourceTab);
+    if (!sourceSheet || sourceSheet.getLastRow() === 0) {
+      debugLog("Split: primary tab not found or empty " + sourceTab);
+      continue;
+    }
+    
+    var split = splitBookingRows(sourceSheet.getDataRange().getValues(), sourceTab);
+    var splitTab = sourceTab + '_2';
+    var splitSheet = spreadsheet.getSheetByName(splitTab);
+    if (splitSheet) {
+      splitSheet.clearContents();
+    } else {
+      splitSheet = spreadsheet.insertSheet(splitTab);
+    }
+    splitSheet.getRange(1, 1, split.rows.length, split.rows[0].length).setValues(split.rows);
+    
+    splitTypes.push(bookingTypes[t]);
+    result.unsplit = result.unsplit.concat(split.unsplit);
+    result.tabs.push({ sourceTab: sourceTab, splitTab: splitTab, bookingCount: split.bookingCount,
+                       splitRows: split.rows.length - 1 });
+    result.results.push(splitTab + ": " + split.bookingCount + " bookings split into " + (split.rows.length - 1) + " rows" +
+                        (split.unsplit.length > 0 ? ", " + split.unsplit.length + " copied unsplit" : ""));
+    console.log("Wrote " + splitTab + " from " + sourceTab);
+  }
+  
+  if (splitTypes.length === 0) {
+    throw new Error('No primary booking tabs (' + bookingTypes.join(', ') + ') found for month ' + monthDigits + '.');
+  }
+  
+  // Totals comparison of the freshly written pairs
+  result.validation = validateMonthTabs(monthDigits, splitTypes);
+  result.allValid = result.validation.allValid;
+  result.results = result.results.concat(result.validation.results);
+  
+  appendAuditLog({
+    monthDigits: monthDigits,
+    action: 'Split',
+    bookingTypes: splitTypes,
+    tabData: result.validation.tabData,
+    result: result.allValid && result.unsplit.length === 0 ? 'PASS' : 'FAIL',
+    tabName: result.tabs.map(function(tab) { return tab.splitTab; }).join(', ')
+  });
+  
+  return result;
+}
+
+/**
+ * Builds one month's report data straight from its primary tab (no split tab needed)
+ * Each booking is split at clock-hour boundaries in memory (see splitBookingRows), so
+ * its duration from F to G is distributed over every slot it overlaps.
+ * @param {string} monthDigits - Month in MMYY format (e.g., "0525")
+ * @param {string} bookingType - 'e', 'i' or 'na'
+ * @param {Object} availabilityData - Result of calculateAvailableHours for the month
+ * @param {string} title - Month title (e.g., "May-25")
+ * @return {Object} Same shape as buildMonthReportData; splitTotal holds the distributed hours
+ * @throws {Error} If the primary tab does not exist
+ */
+function buildProportionalReportData(monthDigits, bookingType, availabilityData, title) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var sourceTabName = monthDigits + bookingType;
+  var sourceSheet = spreadsheet.getSheetByName(sourceTabName);
+  
+  if (!sourceSheet) {
+    console.log("Primary tab not found: " + sourceTabName);
+    throw new Error('Primary tab ' + sourceTabName + ' not found.');
+  }
+  
+  var monthNum = availabilityData.monthNum;
+  var year = availabilityData.year;
+  var timeRows = availabilityData.timeRows;
+  var columns = buildDateColumns(new Date(year, monthNum - 1, 1), new Date(year, monthNum - 1, availabilityData.daysInMonth));
+  var dataGrid = createEmptyGrid(timeRows.length, columns.length);
+  var placement = { sourceTabName: sourceTabName, cellBookings: {}, unplaced: [], rowNumbers: [1] };
+  var primaryTotal = sumColumnH(sourceSheet, sourceTabName);
+  var distributedTotal = 0;
+  var processedCount = 0;
+  
+  var sourceDataRange = sourceSheet.getDataRange();
+  if (sourceDataRange.getLastRow() > 0 && sourceDataRange.getLastColumn() > 0) {
+    var split = splitBookingRows(sourceDataRange.getValues(), sourceTabName);
+    
+    // Bookings whose times could not be split cannot be distributed
+    var unsplitReasons = {};
+    for (var u = 0; u < split.unsplit.length; u++) {
+      unsplitReasons[split.unsplit[u].rowNumber] = split.unsplit[u].reason;
+    }
+    
+    var pieces = [split.rows[0]];
+    for (var i = 1; i < split.rows.length; i++) {
+      var rowNumber = split.rowNumbers[i];
+      var pieceHours = parseHoursValue(split.rows[i][7]);
+      distributedTotal += pieceHours || 0;
+      
+      if (unsplitReasons[rowNumber]) {
+        placement.unplaced.push({ tabName: sourceTabName, rowNumber: rowNumber, date: split.rows[i][3],
+                                  start: split.rows[i][5], hours: pieceHours, reason: unsplitReasons[rowNumber] });
+        continue;
+      }
+      pieces.push(split.rows[i]);
+      placement.rowNumbers.push(rowNumber);
+    }
+    
+    processedCount = aggregateSplitBookings(pieces, timeRows, columns, dataGrid, placement, availabilityData.slotMinutes);
+    console.log("Distributed " + split.bookingCount + " bookings from " + sourceTabName + " over " + processedCount + " slot pieces");
+  }
+  
+  return {
+    monthDigits: monthDigits,
+    monthNum: monthNum,
+    year: year,
+    title: title,
+    columns: columns,
+    timeRows: timeRows,
+    dataGrid: dataGrid,
+    availableGrid: availabilityData.availableGrid,
+    dayOpeningHours: availabilityData.dayOpeningHours,
+    maxHoursPerHour: availabilityData.maxHoursPerHour,
+    slotMinutes: availabilityData.slotMinutes,
+    primaryTabFound: true,
+    bookingType: bookingType,
+    primaryLabel: 'Total ' + bookingType.toUpperCase() + ' Hours',
+    splitLabel: 'Total Distributed Hours',
+    primaryTotal: primaryTotal,
+    splitTotal: distributedTotal,
+    processedCount: processedCount,
+    cellBookings: placement.cellBookings,
+    unplacedBookings: placement.unplaced
+  };
+}
+
+/**
+ * Diagnostic function to check ClubInfo opening hours data
+ * Writes the ci_check tab with each day's opening windows as the reports read
+ * them, and flags entries that cannot be used.
+ */
+function checkClubInfo() {
+  console.log("Starting checkClubInfo function");
+  
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var ui = SpreadsheetApp.getUi();
+  var clubInfoSheet = spreadsheet.getSheetByName('ClubInfo');
+  if (!clubInfoSheet) {
+    ui.alert('Error', 'ClubInfo tab not found.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  var openingHours = readOpeningHours(clubInfoSheet);
+  var dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  var formatWindows = function(windows) {
+    return windows.map(function(openingWindow) {
+      return formatTimeOfDay(openingWindow.open) + '-' + formatTimeOfDay(openingWindow.close);
+    }).join(', ');
+  };
+  
+  // Entries as entered in A9:B25 or D5:K7
+  var entryRows = [];
+  var entryHighlights = [];
+  for (var i = 0; i < openingHours.entries.length; i++) {
+    var entry = openingHours.entries[i];
+    var status = 'OK';
+    if (!entry.windows) {
+      status = 'Cannot parse (use HH:MM-HH:MM, separate windows with commas)';
+    } else if (dayNames.indexOf(entry.dayName) < 0) {
+      status = 'Unknown day name';
+    }
+    if (status !== 'OK') {
+      entryHighlights.push(entryRows.length);
+    }
+    entryRows.push([entry.cell, translateLabel(entry.dayName), "'" + entry.raw,
+                    entry.windows ? "'" + formatWindows(entry.windows) : '', translateLabel(status)]);
+  }
+  
+  // Resulting schedule per day
+  var dayRows = [];
+  var dayHighlights = [];
+  for (var d = 0; d < dayNames.length; d++) {
+    var day = openingHours.dayOpeningHours[dayNames[d]];
+    if (!day) {
+      dayHighlights.push(dayRows.length);
+      dayRows.push([translateLabel(dayNames[d]), '', 0, 0, translateLabel('No opening hours found')]);
+      continue;
+    }
+    
+    // Overlapping windows count their shared hours once
+    var openHours = Math.round(getOpenHoursBetween(day.windows, day.open, day.close) * 100) / 100;
+    var problems = [];
+    var coveredUntil = day.windows[0].close;
+    for (var w = 1; w < day.windows.length; w++) {
+      if (day.windows[w].open < coveredUntil) {
+        problems.push('Overlapping windows');
+        break;
+      }
+      coveredUntil = Math.max(coveredUntil, day.windows[w].close);
+    }
+    if (day.close > 24 + BUSINESS_DAY_CUTOFF_HOUR) {
+      problems.push('Closes after the business day cutoff (' + formatTimeOfDay(24 + BUSINESS_DAY_CUTOFF_HOUR) + ')');
+    }
+    if (problems.length > 0) {
+      dayHighlights.push(dayRows.length);
+    }
+    dayRows.push([translateLabel(dayNames[d]), "'" + formatWindows(day.windows), day.windows.length, openHours,
+                  problems.length > 0 ? problems.map(translateLabel).join('; ') : translateLabel('OK')]);
+  }
+  
+  var destTabName = translateLabel('ci_check');
+  writeListReport(spreadsheet, {
+    destTabName: destTabName,
+    title: 'ClubInfo Opening Hours Check',
+    sections: [
+      {
+        heading: 'Opening Hours by Day',
+        headerRow: ['Day', 'Windows', 'Window Count', 'Open Hours', 'Status'],
+        rows: dayRows,
+        highlightRows: dayHighlights
+      },
+      {
+        heading: 'ClubInfo Entries (' + (openingHours.format === 'rows' ? 'A9:B25' : 'D5:K7') + ')',
+        headerRow: ['Cell', 'Day', 'Value', 'Parsed Windows', 'Status'],
+        rows: entryRows,
+        highlightRows: entryHighlights,
+        emptyMessage: 'No opening hours entered'
+      }
+    ]
+  });
+  
+  var problemCount = dayHighlights.length + entryHighlights.length;
+  console.log("Completed checkClubInfo function with " + problemCount + " problem(s)");
+  ui.alert('Diagnostic Complete',
+           (problemCount === 0 ? 'No problems found.' : problemCount + ' problem(s) found.') +
+           '\n\nCheck the ' + destTabName + ' tab for results.', ui.ButtonSet.OK);
 }
\ No newline at end of file